@@ -1,12 +1,23 @@
-import postcss from 'postcss'
-import tailwindCSS from '@tailwindcss/postcss'
 import path from 'node:path';
 import util from 'util'
 import kleur from 'kleur';
-import cssnano from "cssnano";
 import { existsSync } from 'node:fs';
-import { readFile, mkdir, writeFile } from 'node:fs/promises';
-import { resolveImports } from './lib/resolveImports.js';
+import { mkdir, utimes } from 'node:fs/promises';
+import { buildImportGraph, formatImportGraph, walkImportGraph } from './lib/resolveImports.js';
+import { resolveSources } from './lib/resolveSources.js';
+import { createFileWatcher } from './lib/fileWatcher.js';
+import { isHashed, integrityHash, interpolateOutput, removeStaleOutputs } from './lib/hashedOutput.js';
+import { createManifest } from './lib/manifest.js';
+import { extractClasses, extractCriticalCSS, inlineCriticalCSS, parseCSS } from './lib/criticalCSS.js';
+import { errorOverlayCSS } from './lib/errorOverlay.js';
+import { inlineStyles, minifyInlineCSS, stripSourceMapComment } from './lib/inlineCSS.js';
+import { compileStyleBlock, processStyleBlocks } from './lib/styleBlocks.js';
+import { resolveTargets } from './lib/lightningcss.js';
+import { hasStylesheetLink, injectStylesheetLink, stylesheetLink } from './lib/stylesheetLink.js';
+import { compileTailwind } from './lib/compileTailwind.js';
+import { defaultCacheDir } from './lib/compileCache.js';
+import { writeFileAtomic, writeFileIfChanged } from './lib/writeFile.js';
+import { createBuildQueue } from './lib/buildQueue.js';
 
 // Variables to improve logging
 const nl = "\n"
@@ -16,81 +27,186 @@ const tailwindcss = (eleventyConfig, options) => {
 
   // set default options
   const defaultOptions = {
-    output: 'styles.css', // the generated CSS file
-    minify: false, // Should we minify the CSS
+    output: 'styles.css', // the generated CSS file. Supports [name] and [hash] placeholders.
+    minify: false, // Should we minify the CSS. true = cssnano, 'advanced' or { preset } = configured cssnano, 'lightningcss' = Lightning CSS
+    targets: undefined, // Browsers to lower CSS for with minify: 'lightningcss'. Defaults to the project's browserslist
     watchOutput: true, // Should we watch the output folder for changes (almost certainly yes)
     debug: false, // Show detailed debug info
     domDiff: true, // Enable Dev Server domDiffing. Set to false if you experience unstyled content flashes.
     watchImports: true, // Watch @import-ed CSS files for changes (Issue #4)
+    aliases: undefined, // Import path prefixes mapped to folders relative to the project root, e.g. { '~': 'src' }
     sourceMap: false, // false = no sourcemap, true = external .map file, 'inline' = embedded in CSS
+    entries: undefined, // Array of { input, output, minify, sourceMap } to build several stylesheets
+    manifest: false, // false = no manifest, true = manifest.json, or a path relative to the output folder
+    criticalCSS: false, // Inline the CSS each page uses and load the full stylesheet asynchronously
+    scanOutput: false, // Compile after Eleventy has rendered, scanning the output folder instead of the source files
+    errorOverlay: true, // Show compile errors in the browser when running --serve
+    postcssPlugins: { before: [], after: [] }, // Extra PostCSS plugins to run before/after Tailwind
+    strict: false, // Fail the build on missing input, missing imports or compile errors. 'auto' = strict unless --serve/--watch
+    cache: false, // Reuse compiled CSS while its inputs are unchanged. true = .cache/eleventy-plugin-tailwindcss-4, or a folder
+    globalData: 'tailwind', // Global data key describing the compiled CSS (url, hash, size, integrity). false = no global data
+    globalDataCSS: false, // Include the compiled CSS in the global data as `css`, for inlining
+    stylesheet: {}, // Defaults for the tailwindStylesheet shortcode: { integrity, crossorigin, preload, media }
+    injectLink: false, // Add the stylesheet link to pages that don't link to the generated CSS
+    inline: {}, // Defaults for the tailwindInline filter and shortcode: { minify, email }
+    styleBlocks: false, // Compile <style> blocks in pages that use @apply or theme functions. true = first entry as @reference, or an entry's input
   }
 
   // Merge default options with passed options.
   options = { ...defaultOptions, ...options }
 
+  // Where compiled CSS is kept between runs, if anywhere.
+  const cacheDir = options.cache === true ? path.resolve(defaultCacheDir) : options.cache ? path.resolve(options.cache) : undefined
+
   // Start up message
   if (options.debug) {
     console.log(`${logPrefix}${kleur.green(`Starting with options:`) + nl + util.inspect(options, { colors: true, compact: false, depth: 5, breakLength: 80 })} `)
   }
 
-  // Create the correct paths including eleventy input/output folders.
-  // Use path.join() to normalise slashes (e.g. directories.output may have a trailing slash).
-  // options.input may be undefined if the user forgot to set it, so guard with null.
-  const tailwindSourceFile = options.input
-    ? path.join(eleventyConfig.dir.input, options.input)
-    : null
+  // Normalise the single input/output form and the entries form into one list.
+  // Each entry inherits output, minify, sourceMap and postcssPlugins from the top-level options.
+  const entryOptions = Array.isArray(options.entries)
+    ? options.entries
+    : [{ input: options.input }]
 
-  // Use eleventyConfig.directories.output as the definitive output path.
-  // eleventyConfig.dir.output does not reflect setOutputDirectory() calls.
-  const generatedCSSfile = path.join(eleventyConfig.directories.output, options.output)
+  const entries = entryOptions.map((entry) => ({
+    output: options.output,
+    minify: options.minify,
+    sourceMap: options.sourceMap,
+    postcssPlugins: options.postcssPlugins,
+    ...entry,
+  }))
 
-  const generatedCSSpath = path.dirname(generatedCSSfile);
+  // Keep track of what we've already watched so shared imports are only added once.
+  const watched = new Set()
+  const watch = (target) => {
+    if (watched.has(target)) return;
+    watched.add(target);
+    eleventyConfig.addWatchTarget(target);
+  }
 
-  if (options.debug) {
-    console.log(`${logPrefix + kleur.green(`Eleventy directories.output:`)} ${eleventyConfig.directories.output}`)
-    console.log(`${logPrefix + kleur.green(`TailwindCSS source file:`)} ${tailwindSourceFile}`)
-    console.log(`${logPrefix + kleur.green(`Generated CSS file:`)} ${generatedCSSfile}`)
-    console.log(`${logPrefix + kleur.green(`Output path:`)} ${generatedCSSpath}`)
+  // Find the local files an entry pulls in with @import, @reference, @plugin and @config,
+  // and the local imports that point at files that don't exist. Missing files are always reported.
+  const discoverImports = (tailwindSourceFile, verbose) => {
+    const missingImports = []
+    const rel = (p) => path.relative(path.dirname(path.resolve(tailwindSourceFile)), p);
+    const onSkipNotFound = (p) => {
+      missingImports.push(p);
+      console.log(`${logPrefix + kleur.red().bold(`Warning:`)} Imported file ${kleur.yellow(rel(p))} cannot be found.`)
+    }
+    const importLogger = verbose ? {
+      onSkipBare: (p) => console.log(`${logPrefix + kleur.yellow(`Skipping wath of bare module import:`)} ${p}`),
+      onSkipNotFound,
+      onWatch: (p) => console.log(`${logPrefix + kleur.green(`Watching imported file:`)} ${rel(p)}`),
+      onParseError: (p) => console.log(`${logPrefix + kleur.yellow(`Could not parse, skipping its imports:`)} ${rel(p)}`),
+    } : { onSkipNotFound };
+
+    const graph = buildImportGraph(tailwindSourceFile, { aliases: options.aliases })
+    if (verbose) {
+      console.log(`${logPrefix + kleur.green(`Import graph:`)}${nl}${formatImportGraph(graph)}`)
+    }
+
+    return { importedFiles: walkImportGraph(graph, importLogger), missingImports }
   }
 
-  // Check inputCSS is valid.
-  // tailwindSourceFile is null when options.input was not provided.
-  const inputValid = tailwindSourceFile && existsSync(tailwindSourceFile)
+  // Resolve paths, validate the input and register watch targets for one entry.
+  const prepareEntry = (entry) => {
+    // Create the correct paths including eleventy input/output folders.
+    // Use path.join() to normalise slashes (e.g. directories.output may have a trailing slash).
+    // entry.input may be undefined if the user forgot to set it, so guard with null.
+    const tailwindSourceFile = entry.input
+      ? path.join(eleventyConfig.dir.input, entry.input)
+      : null
+
+    // Use eleventyConfig.directories.output as the definitive output path.
+    // eleventyConfig.dir.output does not reflect setOutputDirectory() calls.
+    // [name] is known now, [hash] is only filled in once the CSS has been generated.
+    const outputName = interpolateOutput(entry.output, { name: path.parse(entry.input ?? '').name })
+    const generatedCSSfile = path.join(eleventyConfig.directories.output, outputName)
+    const hashed = isHashed(outputName)
+
+    const generatedCSSpath = path.dirname(generatedCSSfile);
 
-  if (!inputValid) {
-    if (options.input == undefined) {
-      console.log(`${logPrefix + kleur.red().bold(`Warning:`)} No input file supplied.`)
-      console.log(`${logPrefix}Include ${kleur.yellow(`{ input: 'path/to/tailwind.css' }`)} in options.`)
-    } else {
-      console.log(`${logPrefix + kleur.red().bold(`Warning:`)} Your input file ${kleur.yellow(`${tailwindSourceFile}`)} cannot be found.`)
+    if (options.debug) {
+      console.log(`${logPrefix + kleur.green(`Eleventy directories.output:`)} ${eleventyConfig.directories.output}`)
+      console.log(`${logPrefix + kleur.green(`TailwindCSS source file:`)} ${tailwindSourceFile}`)
+      console.log(`${logPrefix + kleur.green(`Generated CSS file:`)} ${generatedCSSfile}`)
+      console.log(`${logPrefix + kleur.green(`Output path:`)} ${generatedCSSpath}`)
     }
-    console.log(`${logPrefix}Your Tailwind CSS will ${kleur.red().bold(`not`)} be compiled.`)
+
+    // Check inputCSS is valid.
+    // tailwindSourceFile is null when entry.input was not provided.
+    const inputValid = tailwindSourceFile && existsSync(tailwindSourceFile)
+
+    if (!inputValid) {
+      if (entry.input == undefined) {
+        console.log(`${logPrefix + kleur.red().bold(`Warning:`)} No input file supplied.`)
+        console.log(`${logPrefix}Include ${kleur.yellow(`{ input: 'path/to/tailwind.css' }`)} in options.`)
+      } else {
+        console.log(`${logPrefix + kleur.red().bold(`Warning:`)} Your input file ${kleur.yellow(`${tailwindSourceFile}`)} cannot be found.`)
+      }
+      console.log(`${logPrefix}Your Tailwind CSS will ${kleur.red().bold(`not`)} be compiled.`)
+    }
+
+    // Make sure we watch the source file for changes.
+    // CSS is not watched by default in eleventy
+    watch(tailwindSourceFile);
+
+    // Local imports that point at files that don't exist. Strict mode fails the build on these.
+    let missingImports = []
+
+    // Discover and watch @import-ed CSS files so changes to them trigger rebuilds (Issue #4).
+    // Only runs when the input file is valid and watchImports is enabled.
+    if (inputValid && options.watchImports) {
+      const rel = (p) => path.relative(path.dirname(path.resolve(tailwindSourceFile)), p);
+      const discovered = discoverImports(tailwindSourceFile, options.debug)
+      const importedFiles = discovered.importedFiles
+      missingImports = discovered.missingImports
+      for (const file of importedFiles) {
+        // Convert absolute paths from resolveImports to relative paths.
+        // Eleventy's watcher expects paths relative to the project root (like ./src/css/file.css).
+        const relativePath = path.relative(process.cwd(), file);
+        watch(relativePath);
+      }
+      if (options.debug) {
+        console.log(`${logPrefix + kleur.green(`Total imported files watched:`)} ${importedFiles.length}`)
+      }
+
+      // Watch the folders and globs Tailwind scans for classes (@source), minus any @source not exclusions.
+      const cssFiles = [path.resolve(tailwindSourceFile), ...importedFiles.filter((file) => path.extname(file) === '.css')]
+      const sources = resolveSources(cssFiles)
+      for (const source of sources.include) {
+        if (options.debug) {
+          console.log(`${logPrefix + kleur.green(`Watching @source:`)} ${rel(source)}`)
+        }
+        watch(path.relative(process.cwd(), source));
+      }
+      if (options.debug && sources.exclude.length) {
+        console.log(`${logPrefix + kleur.green(`Excluded by @source not:`)} ${sources.exclude.map(rel).join(', ')}`)
+      }
+    }
+
+    // currentFile is the file last written for this entry, used by the tailwindUrl shortcode.
+    const currentFile = hashed ? null : generatedCSSfile
+
+    return { ...entry, tailwindSourceFile, generatedCSSfile, generatedCSSpath, inputValid, hashed, currentFile, missingImports }
   }
 
-  // Make sure we watch the source file for changes.
-  // CSS is not watched by default in eleventy
-  eleventyConfig.addWatchTarget(tailwindSourceFile);
+  const preparedEntries = entries.map(prepareEntry)
 
-  // Discover and watch @import-ed CSS files so changes to them trigger rebuilds (Issue #4).
-  // Only runs when the input file is valid and watchImports is enabled.
-  if (inputValid && options.watchImports) {
-    const sourceDir = path.dirname(path.resolve(tailwindSourceFile));
-    const rel = (p) => path.relative(sourceDir, p);
-    const importLogger = options.debug ? {
-      onSkipBare: (p) => console.log(`${logPrefix + kleur.yellow(`Skipping wath of bare module import:`)} ${p}`),
-      onSkipNotFound: (p) => console.log(`${logPrefix + kleur.yellow(`Imported file not found, skipping:`)} ${rel(p)}`),
-      onWatch: (p) => console.log(`${logPrefix + kleur.green(`Watching imported file:`)} ${rel(p)}`),
-    } : {};
+  // Two entries writing the same file would silently overwrite each other.
+  const outputs = preparedEntries.map((entry) => entry.generatedCSSfile)
+  for (const file of new Set(outputs.filter((file, i) => outputs.indexOf(file) !== i))) {
+    console.log(`${logPrefix + kleur.red().bold(`Warning:`)} More than one entry writes to ${kleur.yellow(file)}.`)
+  }
 
-    const importedFiles = resolveImports(tailwindSourceFile, importLogger);
-    for (const file of importedFiles) {
-      // Convert absolute paths from resolveImports to relative paths.
-      // Eleventy's watcher expects paths relative to the project root (like ./src/css/file.css).
-      const relativePath = path.relative(process.cwd(), file);
-      eleventyConfig.addWatchTarget(relativePath);
+  // Templates render before the CSS exists in scanOutput mode, so features that need it while rendering can't work.
+  if (options.scanOutput) {
+    if (options.criticalCSS) {
+      console.log(`${logPrefix + kleur.red().bold(`Warning:`)} criticalCSS uses the CSS from the previous build when scanOutput is enabled.`)
     }
-    if (options.debug) {
-      console.log(`${logPrefix + kleur.green(`Total imported files watched:`)} ${importedFiles.length}`)
+    if (preparedEntries.some((entry) => entry.hashed)) {
+      console.log(`${logPrefix + kleur.red().bold(`Warning:`)} tailwindUrl returns the previous build's [hash] when scanOutput is enabled.`)
     }
   }
 
@@ -98,65 +214,376 @@ const tailwindcss = (eleventyConfig, options) => {
     console.log(`${logPrefix + kleur.green(`additionalWatchTargets:`)} ${nl}${util.inspect(eleventyConfig.additionalWatchTargets, { colors: true, compact: false })}`)
   }
 
-  // Run the Tailwind command in the before event handler.
-  eleventyConfig.on("eleventy.before", async function () {
-    if (!inputValid) return;
+  // Where to write the asset manifest, if at all.
+  const manifestFile = options.manifest
+    ? path.join(eleventyConfig.directories.output, options.manifest === true ? 'manifest.json' : options.manifest)
+    : null
 
-    let plugins = [tailwindCSS] // add tailwind plugin
-    if (options.minify) {
-      plugins.push(cssnano) // conditionally add cssnano for minification
+  // Show a compile error in the browser by appending an overlay to the last good CSS.
+  // The next successful build overwrites the file, which clears the overlay.
+  const writeErrorOverlay = async (entry, err) => {
+    if (!entry.currentFile) return;
+    try {
+      await mkdir(path.dirname(entry.currentFile), { recursive: true });
+      await writeFileAtomic(entry.currentFile, (entry.css ?? '') + errorOverlayCSS(err));
+    } catch (overlayErr) {
+      console.log(`${logPrefix + kleur.red().bold(`Error writing error overlay:`)} ${nl}${overlayErr}`)
     }
+  }
 
-    const startTime = performance.now(); // log start time
+  // Whether problems should fail the build. runMode is Eleventy's 'build', 'watch' or 'serve'.
+  const isStrict = (runMode) => options.strict === 'auto'
+    ? runMode !== 'serve' && runMode !== 'watch'
+    : Boolean(options.strict)
 
-    try {
-      // Read the tailwind source file
-      const css = await readFile(tailwindSourceFile);
-
-      // Derive PostCSS map option from sourceMap setting
-      const mapOption = options.sourceMap === true
-        ? { inline: false }       // external .map file
-        : options.sourceMap === 'inline'
-          ? { inline: true }      // embedded in CSS
-          : false;                // no sourcemap
-
-      // Run PostCSS with our plugins
-      const result = await postcss(plugins)
-        .process(css, {
-          from: tailwindSourceFile,
-          to: generatedCSSfile,
-          map: mapOption
-        });
-
-      // Create the output folder if it doesn't already exist.
-      // Required because PostCSS can complete before eleventy generates its first file.
-      await mkdir(generatedCSSpath, { recursive: true });
-
-      // Write our generated CSS out to file.
-      await writeFile(generatedCSSfile, result.css);
-
-      // Write external sourcemap file when sourceMap is true (not inline, not false)
-      if (options.sourceMap === true && result.map) {
-        await writeFile(generatedCSSfile + '.map', result.map.toString());
+  // Throw for problems found while preparing an entry. Only called in strict mode.
+  const assertEntryValid = (entry) => {
+    if (!entry.inputValid) {
+      throw new Error(entry.input == undefined
+        ? `[eleventy-plugin-tailwind-4] No input file supplied.`
+        : `[eleventy-plugin-tailwind-4] Input file ${entry.tailwindSourceFile} cannot be found.`)
+    }
+    if (entry.missingImports.length) {
+      throw new Error(`[eleventy-plugin-tailwind-4] Imported files in ${entry.tailwindSourceFile} cannot be found:${nl}${entry.missingImports.join(nl)}`)
+    }
+  }
+
+  // Eleventy only reads watch targets when it starts watching, so files imported after that are
+  // watched here. A change touches the entry file, which Eleventy watches, to trigger a rebuild.
+  const fileWatcher = createFileWatcher()
+  let watcherStarted = false
+
+  // Re-read an entry's imports so newly @import-ed files are watched and missingImports is current.
+  const refreshImports = (entry) => {
+    if (!entry.inputValid || !options.watchImports) return;
+
+    const { importedFiles, missingImports } = discoverImports(entry.tailwindSourceFile, false)
+    entry.missingImports = missingImports
+    for (const file of importedFiles) {
+      const relativePath = path.relative(process.cwd(), file);
+      if (watched.has(relativePath)) continue;
+      watched.add(relativePath);
+
+      const touchEntry = () => {
+        const now = new Date()
+        utimes(entry.tailwindSourceFile, now, now).catch(() => {});
+      }
+      if (fileWatcher.add(file, touchEntry) && options.debug) {
+        console.log(`${logPrefix + kleur.green(`Watching newly imported file:`)} ${relativePath}`)
       }
+    }
+  }
 
-      const endTime = performance.now() // log completion time
+  // Compile a single entry with compileTailwind() and write it to the output folder.
+  // In strict mode compile errors are rethrown so Eleventy exits with an error.
+  const compileEntry = async (entry, runMode) => {
+    try {
+      const result = await compileTailwind({
+        input: entry.tailwindSourceFile,
+        output: entry.generatedCSSfile,
+        minify: entry.minify,
+        sourceMap: entry.sourceMap,
+        plugins: entry.postcssPlugins,
+        // In scanOutput mode Tailwind's automatic source detection starts from the output folder, so it only sees the rendered pages.
+        base: options.scanOutput ? path.resolve(eleventyConfig.directories.output) : undefined,
+        targets: options.targets,
+        aliases: options.aliases,
+        cache: cacheDir,
+      })
+
+      // Remember what was written for the tailwindUrl shortcode and the manifest.
+      entry.currentFile = result.file
+      entry.hash = result.hash
+      entry.size = Buffer.byteLength(result.css)
+      entry.integrity = integrityHash(result.css)
+      entry.mapFile = entry.sourceMap === true && result.map ? result.file + '.map' : null
+
+      // Keep the CSS for the critical CSS transform. It is parsed lazily by the first page that needs it.
+      entry.css = result.css
+      entry.root = null
+
+      // Clean up files from earlier builds so the output folder only holds the current hash.
+      if (entry.hashed) {
+        const removed = await removeStaleOutputs(entry.generatedCSSfile, result.file)
+        if (options.debug && removed.length) {
+          console.log(`${logPrefix + kleur.green(`Removed stale CSS files:`)} ${removed.join(', ')}`)
+        }
+      }
 
       // Print out success to the console with timings
-      console.log(`${logPrefix + kleur.green(`Wrote `) + generatedCSSfile + kleur.green(` in `) + (endTime - startTime).toFixed(2)} ms`)
+      console.log(`${logPrefix + kleur.green(result.written ? `Wrote ` : `Unchanged `) + result.file + kleur.green(` in `) + result.timings.total.toFixed(2)} ms${result.cached ? kleur.green(` (from cache)`) : ''}`)
 
     } catch (err) {
       console.log(`${logPrefix + kleur.red().bold(`Error processing TailwindCSS:`)} ${nl}${err}`)
+      if (options.errorOverlay && runMode === 'serve') {
+        await writeErrorOverlay(entry, err);
+      }
+      if (isStrict(runMode)) throw err;
+    }
+  }
+
+  // <style> blocks compiled by the styleBlocks transform, by their contents. Kept for one build,
+  // so a block shared by many pages is compiled once but sees changes to the theme on the next build.
+  const compiledBlocks = new Map()
+
+  // Compile every entry and write the manifest.
+  // Entries are compiled one after another so their log lines stay in order.
+  const buildAll = async (runMode) => {
+    compiledBlocks.clear()
+
+    // The first build's imports were found at startup; later builds look for new ones.
+    if (runMode === 'serve' || runMode === 'watch') {
+      if (watcherStarted) {
+        preparedEntries.forEach(refreshImports);
+      } else {
+        // Eleventy reruns the plugin when its config changes, so stop watching from this instance then.
+        eleventyConfig.on('eleventy.reset', () => fileWatcher.close());
+        watcherStarted = true
+      }
+    }
+
+    for (const entry of preparedEntries) {
+      if (isStrict(runMode)) assertEntryValid(entry);
+      if (!entry.inputValid) continue;
+      await compileEntry(entry, runMode);
+    }
+
+    if (manifestFile) {
+      const manifest = createManifest(preparedEntries, eleventyConfig.directories.output)
+      await mkdir(path.dirname(manifestFile), { recursive: true });
+      const written = await writeFileIfChanged(manifestFile, JSON.stringify(manifest, null, 2));
+      if (options.debug && written) {
+        console.log(`${logPrefix + kleur.green(`Wrote manifest:`)} ${manifestFile}`)
+      }
+    }
+  }
+
+  // Rapid saves during --serve can start a build while the last one is still running.
+  // Builds are queued so only one runs at a time and the latest one always wins.
+  const queueBuild = createBuildQueue()
+
+  // Run the Tailwind command in the before event handler, or after rendering in scanOutput mode.
+  eleventyConfig.on(options.scanOutput ? "eleventy.after" : "eleventy.before", async function ({ results, runMode } = {}) {
+    if (options.debug && results) {
+      console.log(`${logPrefix + kleur.green(`Scanning rendered output of`)} ${results.length} ${kleur.green(`templates`)}`)
     }
+
+    await queueBuild(() => buildAll(runMode));
   });
 
+  // The root-relative URL of the stylesheet last written for an entry.
+  const entryUrl = (entry) => '/' + path.relative(eleventyConfig.directories.output, entry.currentFile).split(path.sep).join('/')
+
+  // The URL to link to for an entry, with the path prefix applied by Eleventy's url filter.
+  const entryHref = (entry) => {
+    const url = eleventyConfig.getFilter?.('url')
+    return url ? url(entryUrl(entry)) : entryUrl(entry)
+  }
+
+  // Find the entry a shortcode refers to, warning when its CSS hasn't been written.
+  // With no argument the first entry is used, otherwise the entry whose input or output matches.
+  const findWrittenEntry = (shortcode, input) => {
+    const entry = input
+      ? preparedEntries.find((e) => e.input === input || e.output === input)
+      : preparedEntries[0]
+
+    if (!entry?.currentFile) {
+      console.log(`${logPrefix + kleur.red().bold(`Warning:`)} ${shortcode} could not find generated CSS for ${kleur.yellow(`${input ?? entry?.input}`)}.`)
+      return null
+    }
+    return entry
+  }
+
+  // Resolve the URL of the stylesheet last written for an entry.
+  const tailwindUrl = (input) => {
+    const entry = findWrittenEntry('tailwindUrl', input)
+    return entry ? entryUrl(entry) : ''
+  }
+
+  // Make the URL available to every template language, e.g. {% tailwindUrl %} or {{ 'css/docs.css' | tailwindUrl }}
+  eleventyConfig.addShortcode('tailwindUrl', tailwindUrl);
+  eleventyConfig.addFilter('tailwindUrl', tailwindUrl);
+
+  // Split shortcode and filter arguments into an optional input and an options object.
+  const shortcodeArgs = (args) => {
+    const input = typeof args[0] === 'string' ? args.shift() : undefined
+    // Nunjucks passes keyword arguments as an object flagged with __keywords.
+    const { __keywords, ...overrides } = args[0] ?? {}
+    return { input, overrides }
+  }
+
+  // The Subresource Integrity value to link an entry with. The error overlay changes the file during --serve without
+  // the pages being rendered again, so the browser would block it; integrity is left out while the overlay can appear.
+  const linkIntegrity = (entry) => process.env.ELEVENTY_RUN_MODE === 'serve' && options.errorOverlay ? undefined : entry.integrity
+
+  // Render the <link> for an entry. Takes an optional input, then options overriding options.stylesheet, e.g.
+  // {% tailwindStylesheet "css/docs.css", preload=true %} in Nunjucks or tailwindStylesheet({ media: 'print' }) in JavaScript.
+  eleventyConfig.addShortcode('tailwindStylesheet', (...args) => {
+    const { input, overrides } = shortcodeArgs(args)
+    const entry = findWrittenEntry('tailwindStylesheet', input)
+    if (!entry) return ''
+
+    return stylesheetLink({ href: entryHref(entry), integrity: linkIntegrity(entry) }, { ...options.stylesheet, ...overrides })
+  });
+
+  // Lightning CSS targets for tailwindInline, resolved once per entry from the browserslist config nearest its input.
+  const getInlineTargets = (entry) => entry.inlineTargets ??= resolveTargets(options.targets, path.resolve(entry.tailwindSourceFile))
+
+  // The compiled CSS of an entry, for a <style> block. Takes an optional input, then options overriding options.inline,
+  // e.g. <style>{% tailwindInline minify=true %}</style>.
+  const inlineShortcode = (...args) => {
+    const { input, overrides } = shortcodeArgs(args)
+    const entry = findWrittenEntry('tailwindInline', input)
+    if (!entry) return ''
+
+    const { minify } = { ...options.inline, ...overrides }
+    const css = stripSourceMapComment(entry.css)
+    return minify ? minifyInlineCSS(css, getInlineTargets(entry)) : css
+  }
+
+  // Scope the compiled CSS to the classes used in some HTML, usually the page's content:
+  // <style>{{ content | tailwindInline }}</style>. With email, the HTML is returned with the rules
+  // moved into style attributes instead: {{ content | tailwindInline(email=true) | safe }}.
+  const inlineFilter = (html, ...args) => {
+    const { input, overrides } = shortcodeArgs(args)
+    const entry = findWrittenEntry('tailwindInline', input)
+    if (!entry) return options.inline.email || overrides.email ? html : ''
+
+    const { minify, email } = { ...options.inline, ...overrides }
+    entry.root ??= parseCSS(entry.css)
+    if (email) return inlineStyles(String(html ?? ''), entry.root, { minify, targets: getInlineTargets(entry) })
+
+    const css = extractCriticalCSS(entry.root, extractClasses(String(html ?? '')))
+    return minify && css ? minifyInlineCSS(css, getInlineTargets(entry)) : css
+  }
+
+  // Shortcodes and filters share one namespace in 11ty.js, WebC and computed data, where the last one added wins.
+  // So a single function serves both: HTML first (Nunjucks passes a SafeString after | safe) means the filter,
+  // anything else (nothing, options or an entry's input) the shortcode.
+  const isHTML = (value) => (typeof value === 'string' || value instanceof String) && (value.length === 0 || value.includes('<'))
+  const tailwindInline = (...args) => isHTML(args[0]) ? inlineFilter(...args) : inlineShortcode(...args)
+  eleventyConfig.addShortcode('tailwindInline', tailwindInline);
+  eleventyConfig.addFilter('tailwindInline', tailwindInline);
+
+  // Describe the stylesheet last written for an entry, or null if it hasn't been written.
+  const entryData = (entry) => entry.hash ? {
+    url: entryUrl(entry),
+    hash: entry.hash,
+    size: entry.size,
+    integrity: linkIntegrity(entry),
+    ...(options.globalDataCSS && { css: entry.css }),
+  } : null
+
+  // Templates read this after the eleventy.before handler has compiled, e.g. {{ tailwind.url }}.
+  // The first entry's fields are at the top level, every entry is under `entries` by input.
+  if (options.globalData) {
+    eleventyConfig.addGlobalData(options.globalData, () => ({
+      ...entryData(preparedEntries[0]),
+      entries: Object.fromEntries(preparedEntries.map((entry) => [entry.input, entryData(entry)])),
+    }));
+  }
+
+  // Compile the <style> blocks pages use @apply or theme functions in, including WebC's, with an entry as
+  // their @reference. Registered first so the other transforms see the compiled CSS.
+  if (options.styleBlocks) {
+    const referenceEntry = typeof options.styleBlocks === 'string'
+      ? preparedEntries.find((entry) => entry.input === options.styleBlocks)
+      : preparedEntries[0]
+    if (!referenceEntry) {
+      console.log(`${logPrefix + kleur.red().bold(`Warning:`)} styleBlocks could not find the entry ${kleur.yellow(options.styleBlocks)}.`)
+    }
+
+    eleventyConfig.addTransform('tailwindcss-style-blocks', async function (content) {
+      const outputPath = this.page?.outputPath
+      if (typeof outputPath !== 'string' || !outputPath.endsWith('.html')) return content;
+      if (!referenceEntry?.inputValid) return content;
+
+      const html = await processStyleBlocks(content, async (css) => {
+        if (compiledBlocks.has(css)) return compiledBlocks.get(css)
+        try {
+          const compiled = await compileStyleBlock(css, {
+            reference: path.resolve(referenceEntry.tailwindSourceFile),
+            from: path.resolve(this.page.inputPath ?? outputPath),
+            aliases: options.aliases,
+          })
+          compiledBlocks.set(css, compiled)
+          return compiled
+        } catch (err) {
+          // Transforms don't receive the run mode, but Eleventy sets it in the environment.
+          console.log(`${logPrefix + kleur.red().bold(`Error processing <style> block in`)} ${outputPath}:${nl}${err}`)
+          if (isStrict(process.env.ELEVENTY_RUN_MODE)) throw err;
+          return css
+        }
+      })
+
+      if (options.debug && html !== content) {
+        console.log(`${logPrefix + kleur.green(`Compiled <style> blocks in:`)} ${outputPath}`)
+      }
+      return html
+    });
+  }
+
+  // Add the first entry's stylesheet to pages that link to none of the entries, e.g. when a layout forgot it.
+  // Registered before the critical CSS transform, which also matches the prefixed href written here, so injected links get critical CSS too.
+  if (options.injectLink) {
+    eleventyConfig.addTransform('tailwindcss-inject-link', function (content) {
+      const outputPath = this.page?.outputPath
+      if (typeof outputPath !== 'string' || !outputPath.endsWith('.html')) return content;
+
+      const written = preparedEntries.filter((entry) => entry.currentFile)
+      if (!written.length) return content;
+      if (hasStylesheetLink(content, written.flatMap((entry) => [entryUrl(entry), entryHref(entry)]))) return content;
+
+      const [entry] = written
+      const html = injectStylesheetLink(content, stylesheetLink({ href: entryHref(entry), integrity: linkIntegrity(entry) }, options.stylesheet))
+      if (html === null) return content;
+
+      if (options.debug) {
+        console.log(`${logPrefix + kleur.yellow(`Added missing stylesheet link to:`)} ${outputPath}`)
+      }
+      return html
+    });
+  }
+
+  // Inline the rules each page uses in front of its stylesheet link and load the full file asynchronously.
+  if (options.criticalCSS) {
+    eleventyConfig.addTransform('tailwindcss-critical-css', function (content) {
+      const outputPath = this.page?.outputPath
+      if (typeof outputPath !== 'string' || !outputPath.endsWith('.html')) return content;
+
+      const classes = extractClasses(content)
+      let html = content
+      for (const entry of preparedEntries) {
+        if (!entry.css) continue;
+        // With a path prefix, links from the url filter, tailwindStylesheet or injectLink include it.
+        const urls = [entryUrl(entry), entryHref(entry)]
+        if (!urls.some((url) => html.includes(url))) continue;
+
+        entry.root ??= parseCSS(entry.css)
+        html = inlineCriticalCSS(html, urls, extractCriticalCSS(entry.root, classes)) ?? html
+      }
+
+      if (options.debug && html !== content) {
+        console.log(`${logPrefix + kleur.green(`Inlined critical CSS in:`)} ${outputPath}`)
+      }
+      return html
+    });
+  }
+
   eleventyConfig.setServerOptions({
     // Enable or disable Dev Server domDiffing.
     domDiff: options.domDiff,
 
-    // Watch the output css file because eleventy isn't processing it. 
-    watch: options.watchOutput ? [generatedCSSfile] : [],
+    // Watch the output css files because eleventy isn't processing them.
+    // Hashed outputs are watched with a glob as the hash changes every build.
+    watch: options.watchOutput ? [...new Set(outputs.map((file) => interpolateOutput(file, { hash: '*' })))] : [],
   });
 
 }
-export default tailwindcss
\ No newline at end of file
+export default tailwindcss
+
+// Inspect the files an entry CSS file pulls in, e.g. buildImportGraph('src/css/tailwind.css').
+export { buildImportGraph, formatImportGraph } from './lib/resolveImports.js';
+
+// Compile Tailwind CSS without Eleventy, e.g. from scripts or tests.
+export { compileTailwind } from './lib/compileTailwind.js';
@@ -0,0 +1,44 @@
+/**
+ * Run builds one at a time, dropping builds that are superseded while waiting.
+ *
+ * A build requested while another is running waits for it to finish. If
+ * more are requested in the meantime, only the latest is run, and every
+ * waiting caller gets its result. A slow build can therefore never finish
+ * after, and overwrite, a newer one.
+ *
+ * @returns {(build: () => Promise<*>) => Promise<*>}
+ *   Queue a build. Resolves or rejects with the result of the build that ran for this request.
+ */
+export function createBuildQueue() {
+  let running = null;
+  let next = null;
+
+  const start = (build) => {
+    running = (async () => {
+      try {
+        return await build();
+      } finally {
+        running = null;
+        if (next) {
+          const { build: nextBuild, resolve, reject } = next;
+          next = null;
+          start(nextBuild).then(resolve, reject);
+        }
+      }
+    })();
+    return running;
+  };
+
+  return (build) => {
+    if (!running) return start(build);
+
+    if (next) {
+      // Superseded: the waiting build is replaced and its callers get this one's result.
+      next.build = build;
+    } else {
+      next = { build };
+      next.promise = new Promise((resolve, reject) => Object.assign(next, { resolve, reject }));
+    }
+    return next.promise;
+  };
+}
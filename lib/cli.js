@@ -0,0 +1,228 @@
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { existsSync } from 'node:fs';
+import kleur from 'kleur';
+import { compileTailwind } from './compileTailwind.js';
+import { resolveImports } from './resolveImports.js';
+import { isInstalledPackage } from './resolveModule.js';
+import { createFileWatcher } from './fileWatcher.js';
+import { createBuildQueue } from './buildQueue.js';
+import { isHashed, removeStaleOutputs } from './hashedOutput.js';
+
+const logPrefix = `${kleur.magenta(`[eleventy-plugin-tailwind-4] `)}`;
+
+export const usage = `Usage: eleventy-tailwind <build|watch> --input <file> --output <file> [options]
+
+Commands:
+  build                    Compile once
+  watch                    Compile, then again whenever the input, its imports or scanned files change
+
+Options:
+  -i, --input <file>       Tailwind source CSS file
+  -o, --output <file>      File to write, may contain [hash]
+  --minify[=<minifier>]    Minify with cssnano, or 'advanced' or 'lightningcss'
+  --source-map[=inline]    Write an external .map file, or embed the map in the CSS
+  --targets <query>        Browserslist query for --minify=lightningcss
+  --alias <prefix=folder>  Resolve imports starting with prefix from folder, repeatable
+  --base <folder>          Folder Tailwind detects sources from, defaults to the working directory
+  -h, --help               Show this help`;
+
+/**
+ * Turn command line arguments into compileTailwind() options.
+ *
+ * `--minify` and `--source-map` work as flags or with a value, e.g.
+ * `--minify=lightningcss` or `--source-map=inline`.
+ *
+ * @param {string[]} argv  Arguments after the script name
+ * @returns {{ command: 'build'|'watch'|'help', options: object }}
+ * @throws {Error}         For unknown commands, unknown or invalid options, or missing required options
+ */
+export function parseCliArgs(argv) {
+  // parseArgs has no optional values, so bare flags are given their "on" value first.
+  const args = argv.map((arg) => {
+    if (arg === '--minify') return '--minify=true';
+    if (arg === '--source-map') return '--source-map=true';
+    return arg;
+  });
+
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      input: { type: 'string', short: 'i' },
+      output: { type: 'string', short: 'o' },
+      minify: { type: 'string' },
+      'source-map': { type: 'string' },
+      targets: { type: 'string' },
+      alias: { type: 'string', multiple: true },
+      base: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) return { command: 'help', options: {} };
+
+  const [command, extra] = positionals;
+  if (command !== 'build' && command !== 'watch') {
+    throw new Error(command ? `Unknown command: ${command}` : 'Missing command: build or watch');
+  }
+  if (extra !== undefined) {
+    // `--minify lightningcss` reads as a bare --minify followed by an argument.
+    const before = argv[argv.indexOf(extra) - 1];
+    throw new Error(before === '--minify' || before === '--source-map'
+      ? `Unexpected argument: ${extra}, did you mean ${before}=${extra}?`
+      : `Unexpected argument: ${extra}`);
+  }
+  if (!values.input) throw new Error('Missing --input');
+  if (!values.output) throw new Error('Missing --output');
+
+  // A typo would otherwise quietly build unminified CSS or skip the sourcemap.
+  if (values.minify !== undefined && !['true', 'advanced', 'lightningcss'].includes(values.minify)) {
+    throw new Error(`Invalid --minify=${values.minify}, expected advanced or lightningcss`);
+  }
+  if (values['source-map'] !== undefined && !['true', 'inline'].includes(values['source-map'])) {
+    throw new Error(`Invalid --source-map=${values['source-map']}, expected inline`);
+  }
+
+  let aliases;
+  for (const alias of values.alias ?? []) {
+    // Only the first = separates the prefix, so folders may contain one.
+    const separator = alias.indexOf('=');
+    const prefix = separator === -1 ? alias : alias.slice(0, separator);
+    const folder = separator === -1 ? '' : alias.slice(separator + 1);
+    if (!prefix || !folder) throw new Error(`Invalid --alias ${alias}, expected prefix=folder`);
+    aliases = { ...aliases, [prefix]: folder };
+  }
+
+  const flag = (value) => value === 'true' ? true : value;
+
+  return {
+    command,
+    options: {
+      input: path.resolve(values.input),
+      output: path.resolve(values.output),
+      minify: flag(values.minify) ?? false,
+      sourceMap: flag(values['source-map']) ?? false,
+      targets: values.targets,
+      aliases,
+      base: values.base && path.resolve(values.base),
+    },
+  };
+}
+
+/**
+ * Compile once and log the result. Errors are logged rather than thrown.
+ * For a hashed output, files left by earlier builds are removed, as the plugin does.
+ *
+ * @param {object} options  From parseCliArgs()
+ * @returns {Promise<object|null>}  The compileTailwind() result, or null on error
+ */
+async function build(options) {
+  try {
+    const result = await compileTailwind(options);
+    console.log(`${logPrefix + kleur.green(result.written ? `Wrote ` : `Unchanged `) + path.relative(process.cwd(), result.file) + kleur.green(` in `) + result.timings.total.toFixed(2)} ms`);
+
+    if (isHashed(options.output)) {
+      const removed = await removeStaleOutputs(options.output, result.file);
+      if (removed.length) {
+        console.log(`${logPrefix + kleur.green(`Removed stale CSS files:`)} ${removed.map((file) => path.relative(process.cwd(), file)).join(', ')}`);
+      }
+    }
+    return result;
+  } catch (err) {
+    console.log(`${logPrefix + kleur.red().bold(`Error processing TailwindCSS:`)} \n${err}`);
+    return null;
+  }
+}
+
+/**
+ * Compile, then compile again whenever the input, the files it imports or
+ * the files Tailwind scanned for classes change. Imports are rediscovered
+ * after every build, so newly imported files are watched too.
+ *
+ * Changes that arrive during a build are collected into one more build.
+ *
+ * @param {object} options  From parseCliArgs()
+ * @returns {Promise<{ close: () => void }>}  Resolves after the first build
+ */
+export async function watch(options) {
+  const fileWatcher = createFileWatcher({ persistent: true });
+  // The output is never watched, Tailwind may scan it when it sits inside the base folder.
+  const outputs = (file) => file && [file, file + '.map'];
+  let written = [];
+
+  const queueBuild = createBuildQueue();
+  let timer = null;
+
+  const onChange = (file) => {
+    if (written.includes(file)) return;
+    // Editors often write a file more than once per save.
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, 50);
+  };
+
+  const watchFiles = (result) => {
+    const missing = [];
+    const files = [
+      options.input,
+      ...resolveImports(options.input, { onSkipNotFound: (file) => missing.push(file) }, { aliases: options.aliases }),
+      ...(result?.dependencies ?? []),
+    ];
+    for (const file of missing) {
+      console.log(`${logPrefix + kleur.red().bold(`Warning:`)} Imported file ${kleur.yellow(path.relative(process.cwd(), file))} cannot be found.`);
+    }
+    for (const file of new Set(files)) {
+      if (!isInstalledPackage(file) && !written.includes(file)) fileWatcher.add(file, onChange);
+    }
+  };
+
+  const rebuild = () => queueBuild(async () => {
+    const result = await build(options);
+    written = outputs(result?.file) ?? written;
+    watchFiles(result);
+  });
+
+  await rebuild();
+  console.log(`${logPrefix}Watching for changes…`);
+
+  return {
+    close: () => {
+      clearTimeout(timer);
+      fileWatcher.close();
+    },
+  };
+}
+
+/**
+ * Run the eleventy-tailwind command.
+ *
+ * @param {string[]} argv  Arguments after the script name
+ * @returns {Promise<number>}  Exit code. A watch keeps the process alive after resolving.
+ */
+export async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${usage}`);
+    return 1;
+  }
+
+  const { command, options } = parsed;
+  if (command === 'help') {
+    console.log(usage);
+    return 0;
+  }
+
+  if (!existsSync(options.input)) {
+    console.log(`${logPrefix + kleur.red().bold(`Error:`)} Your input file ${kleur.yellow(options.input)} cannot be found.`);
+    return 1;
+  }
+
+  if (command === 'watch') {
+    await watch(options);
+    return 0;
+  }
+
+  return (await build(options)) ? 0 : 1;
+}
@@ -0,0 +1,134 @@
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync } from 'node:fs';
+import { mkdir, readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { Scanner } from '@tailwindcss/oxide';
+import { writeFileAtomic } from './writeFile.js';
+
+// Where `cache: true` stores compiled CSS, relative to the working directory.
+export const defaultCacheDir = '.cache/eleventy-plugin-tailwindcss-4';
+
+// Bump when the shape of a cache entry changes, so old entries are ignored.
+const CACHE_VERSION = 1;
+
+const require = createRequire(import.meta.url);
+
+/**
+ * The version of an installed package, found by walking up from its main file.
+ *
+ * @param {string} name  Package name, e.g. "tailwindcss"
+ * @returns {string|null}
+ */
+function packageVersion(name) {
+  try {
+    let dir = path.dirname(require.resolve(name));
+    while (dir !== path.dirname(dir)) {
+      const file = path.join(dir, 'package.json');
+      if (existsSync(file)) {
+        const pkg = JSON.parse(readFileSync(file, 'utf-8'));
+        if (pkg.name === name) return pkg.version;
+      }
+      dir = path.dirname(dir);
+    }
+  } catch {
+    // Not installed where we can see it; the key still changes with everything else.
+  }
+  return null;
+}
+
+const tailwindVersion = packageVersion('tailwindcss');
+
+/**
+ * Build the cache key for a compile from everything that isn't a file:
+ * the entry, the options and the Tailwind version.
+ * File contents are checked separately when an entry is read.
+ *
+ * @param {object} parts  JSON-serialisable compile options
+ * @returns {string}      Hex digest, used as the cache entry's filename
+ */
+export function cacheKey(parts) {
+  return createHash('sha256')
+    .update(JSON.stringify({ version: CACHE_VERSION, tailwind: tailwindVersion, ...parts }))
+    .digest('hex');
+}
+
+/**
+ * Hash the contents of a file.
+ *
+ * @param {string} file
+ * @returns {Promise<string|null>}  null when the file can't be read
+ */
+async function hashFile(file) {
+  try {
+    return createHash('sha256').update(await readFile(file)).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the files Tailwind's scanner finds for the given globs.
+ * This is the same scanner Tailwind uses, so .gitignore'd files are left out.
+ *
+ * @param {{ base: string, pattern: string }[]} sources
+ * @returns {string[]}
+ */
+function scanSources(sources) {
+  if (sources.length === 0) return [];
+  return new Scanner({ sources: sources.map((source) => ({ ...source, negated: false })) }).files;
+}
+
+/**
+ * Read a cache entry, if every file it was built from is unchanged.
+ *
+ * The entry is stale when a recorded file changed or was removed, or when
+ * its source globs now match a file that wasn't there before.
+ *
+ * @param {string} dir     Cache folder
+ * @param {string} key     From cacheKey()
+ * @param {object} [options]
+ * @param {(file: string) => boolean} [options.exclude]  Files to ignore, such as the output itself
+ * @returns {Promise<{ css: string, map: object|null, dependencies: string[] }|null>}
+ */
+export async function readCache(dir, key, { exclude = () => false } = {}) {
+  let entry;
+  try {
+    entry = JSON.parse(await readFile(path.join(dir, `${key}.json`), 'utf-8'));
+  } catch {
+    return null;
+  }
+
+  for (const file of scanSources(entry.sources)) {
+    if (!exclude(file) && !(file in entry.files)) return null;
+  }
+  for (const [file, hash] of Object.entries(entry.files)) {
+    if ((await hashFile(file)) !== hash) return null;
+  }
+
+  return { css: entry.css, map: entry.map, dependencies: entry.dependencies };
+}
+
+/**
+ * Store compiled CSS along with the contents of the files it was built from.
+ *
+ * @param {string} dir     Cache folder
+ * @param {string} key     From cacheKey()
+ * @param {object} params
+ * @param {string[]} params.files   The entry, its imports and the files Tailwind scanned
+ * @param {{ base: string, pattern: string }[]} params.sources  Globs Tailwind scanned
+ * @param {string} params.css
+ * @param {object|null} params.map
+ * @param {string[]} params.dependencies
+ * @param {(file: string) => boolean} [params.exclude]  Files to ignore, such as the output itself
+ * @returns {Promise<void>}
+ */
+export async function writeCache(dir, key, { files, sources, css, map, dependencies, exclude = () => false }) {
+  const hashes = {};
+  for (const file of new Set([...files, ...scanSources(sources)])) {
+    if (!exclude(file)) hashes[file] = await hashFile(file);
+  }
+
+  await mkdir(dir, { recursive: true });
+  await writeFileAtomic(path.join(dir, `${key}.json`), JSON.stringify({ files: hashes, sources, css, map, dependencies }));
+}
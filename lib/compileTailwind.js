@@ -0,0 +1,196 @@
+import postcss from 'postcss';
+import tailwindCSS from '@tailwindcss/postcss';
+import cssnano from 'cssnano';
+import path from 'node:path';
+import { readFile, mkdir } from 'node:fs/promises';
+import { hashContent, interpolateOutput, outputMatcher } from './hashedOutput.js';
+import { resolveTargets, minifyWithLightningCSS } from './lightningcss.js';
+import { withAliases } from './resolveModule.js';
+import { writeFileIfChanged } from './writeFile.js';
+import { resolveImports } from './resolveImports.js';
+import { cacheKey, readCache, writeCache } from './compileCache.js';
+
+/**
+ * The cssnano plugin for a minify option, if any.
+ *
+ * @param {boolean|string|object} minify  true, 'advanced' or cssnano options
+ * @returns {object|null}                 A PostCSS plugin
+ */
+function cssnanoPlugin(minify) {
+  if (minify === true) return cssnano;
+  if (minify === 'advanced') return cssnano({ preset: 'advanced' }); // needs cssnano-preset-advanced installed
+  if (minify && typeof minify === 'object') return cssnano(minify); // e.g. { preset: ['default', { mergeRules: false }] }
+  return null;
+}
+
+/**
+ * Compile a Tailwind CSS file, without Eleventy.
+ *
+ * Runs the user's PostCSS plugins around Tailwind, then minifies. When
+ * `output` is given the CSS (and an external sourcemap) is written there,
+ * with any [hash] placeholder filled in from the CSS. Writes are atomic and
+ * skipped when the file already holds the same content.
+ *
+ * With `cache` set, the compiled CSS is stored in that folder and reused while
+ * the entry, its imports, the scanned files and the options are unchanged.
+ *
+ * @param {object}  params
+ * @param {string}  params.input                    The Tailwind source CSS file
+ * @param {string}  [params.output]                 File to write, may contain [hash]
+ * @param {boolean|string|object} [params.minify]   true = cssnano, 'advanced' or cssnano options, 'lightningcss'
+ * @param {boolean|string} [params.sourceMap]       true = external .map file, 'inline' = embedded in the CSS
+ * @param {Array|{ before?: Array, after?: Array }} [params.plugins]
+ *   PostCSS plugins to run before Tailwind, or { before, after } to also run some after it
+ * @param {string}  [params.base]                   Folder Tailwind detects sources from, defaults to the working directory
+ * @param {string|string[]|object} [params.targets] Browsers to lower CSS for with minify: 'lightningcss'
+ * @param {object}  [params.aliases]                Import path prefixes mapped to folders, e.g. { '~': 'src' }
+ * @param {boolean} [params.write]                  Set to false to skip writing even though `output` is set
+ * @param {string}  [params.cache]                  Folder to cache compiled CSS in, e.g. ".cache/eleventy-plugin-tailwindcss-4"
+ * @returns {Promise<{ css: string, map: object|null, file: string|null, hash: string, written: boolean, cached: boolean,
+ *   dependencies: string[], timings: { compile: number, minify: number, write: number, total: number } }>}
+ *   `css` is the final file contents, including any sourceMappingURL comment.
+ *   `file` is the output path with [hash] filled in. `written` is false when the file already held this CSS.
+ *   `cached` is true when the CSS came from the cache and PostCSS didn't run.
+ *   `dependencies` are the files PostCSS reported.
+ *   Timings are in ms; `compile` covers every PostCSS plugin including cssnano, `minify` is Lightning CSS.
+ */
+export async function compileTailwind({
+  input,
+  output,
+  minify = false,
+  sourceMap = false,
+  plugins = [],
+  base,
+  targets,
+  aliases,
+  write = true,
+  cache,
+}) {
+  const startTime = performance.now();
+
+  const { before = [], after = [] } = Array.isArray(plugins) ? { before: plugins } : plugins;
+
+  // Plugins can't be compared, so only their names are part of the key.
+  const pluginNames = (list) => list.map((plugin) => plugin.postcssPlugin ?? plugin.name ?? typeof plugin);
+  const key = cache && cacheKey({
+    input: path.resolve(input),
+    output: output && path.resolve(output),
+    minify,
+    sourceMap,
+    plugins: { before: pluginNames(before), after: pluginNames(after) },
+    base,
+    targets: minify === 'lightningcss' ? resolveTargets(targets, input) : undefined,
+    aliases,
+    // Tailwind's PostCSS plugin optimizes its output in production builds.
+    optimize: process.env.NODE_ENV === 'production',
+  });
+  // The output may sit in a scanned folder, and must not invalidate the entry it was written from.
+  const outputDir = output && path.dirname(path.resolve(output));
+  const matchesOutput = output && outputMatcher(output);
+  const cacheDir = cache && path.resolve(cache) + path.sep;
+  const exclude = (file) => (Boolean(output) && path.dirname(file) === outputDir && matchesOutput.test(path.basename(file)))
+    || (Boolean(cache) && file.startsWith(cacheDir));
+
+  const cached = cache ? await readCache(cache, key, { exclude }) : null;
+
+  let generatedCSS;
+  let map;
+  let dependencies;
+  let compiledTime;
+
+  if (cached) {
+    ({ css: generatedCSS, map, dependencies } = cached);
+    compiledTime = performance.now();
+  } else {
+    const postcssPlugins = [...before, base ? tailwindCSS({ base }) : tailwindCSS, ...after];
+
+    // Minification stays last so it sees the final CSS.
+    const nano = cssnanoPlugin(minify);
+    if (nano) postcssPlugins.push(nano);
+
+    const css = await readFile(input);
+
+    // The annotation is added below, once later steps have run and the final (possibly hashed) filename is known.
+    const result = await withAliases(aliases, () => postcss(postcssPlugins).process(css, {
+      from: input,
+      to: output ?? input,
+      map: sourceMap ? { inline: false, annotation: false } : false,
+    }));
+    compiledTime = performance.now();
+
+    generatedCSS = result.css;
+    map = result.map ? result.map.toJSON() : null;
+
+    // Lightning CSS isn't a PostCSS plugin, so it runs on the PostCSS output and carries its sourcemap forward.
+    if (minify === 'lightningcss') {
+      ({ css: generatedCSS, map } = minifyWithLightningCSS({
+        css: generatedCSS,
+        map,
+        filename: path.basename(output ?? input),
+        targets: resolveTargets(targets, input),
+      }));
+    }
+
+    dependencies = [...new Set(result.messages
+      .filter((message) => message.type === 'dependency')
+      .map((message) => message.file))];
+
+    if (cache) {
+      // Globs Tailwind scanned, plus everything under the base folder, so new templates
+      // are noticed even in folders that didn't exist yet.
+      const sources = result.messages
+        .filter((message) => message.type === 'dir-dependency')
+        .map((message) => ({ base: message.dir, pattern: message.glob ?? '**/*' }));
+      sources.push({ base: path.resolve(base ?? process.cwd()), pattern: '**/*' });
+
+      await writeCache(cache, key, {
+        files: [path.resolve(input), ...resolveImports(input, {}, { aliases }), ...dependencies],
+        sources,
+        css: generatedCSS,
+        map,
+        dependencies,
+        exclude,
+      });
+    }
+  }
+  const minifiedTime = performance.now();
+
+  // Fill in the [hash] placeholder from the generated CSS.
+  const hash = hashContent(generatedCSS);
+  const file = output ? interpolateOutput(output, { hash }) : null;
+  if (map && file) map.file = path.basename(file);
+
+  let outputCSS = generatedCSS;
+  if (sourceMap === true && map && file) {
+    outputCSS += `\n/*# sourceMappingURL=${path.basename(file)}.map */`;
+  } else if (sourceMap === 'inline' && map) {
+    outputCSS += `\n/*# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')} */`;
+  }
+
+  // Files are replaced atomically, and left alone when nothing changed.
+  let written = false;
+  if (file && write) {
+    await mkdir(path.dirname(file), { recursive: true });
+    written = await writeFileIfChanged(file, outputCSS);
+    if (sourceMap === true && map) {
+      written = (await writeFileIfChanged(file + '.map', JSON.stringify(map))) || written;
+    }
+  }
+  const endTime = performance.now();
+
+  return {
+    css: outputCSS,
+    map,
+    file,
+    hash,
+    written,
+    cached: Boolean(cached),
+    dependencies,
+    timings: {
+      compile: compiledTime - startTime,
+      minify: minifiedTime - compiledTime,
+      write: endTime - minifiedTime,
+      total: endTime - startTime,
+    },
+  };
+}
@@ -0,0 +1,136 @@
+import postcss from 'postcss';
+
+/**
+ * Collect every class name used in class="..." attributes of an HTML document.
+ *
+ * @param {string} html  Rendered HTML
+ * @returns {Set<string>} Class names
+ */
+export function extractClasses(html) {
+  const classes = new Set();
+  const classRegex = /\bclass\s*=\s*(["'])([\s\S]*?)\1/gi;
+  let match;
+  while ((match = classRegex.exec(html)) !== null) {
+    for (const name of match[2].split(/\s+/)) {
+      if (name) classes.add(name);
+    }
+  }
+  return classes;
+}
+
+/**
+ * Undo CSS identifier escaping, e.g. "hover\:bg-red-500" → "hover:bg-red-500"
+ * and "\32 xl" → "2xl".
+ *
+ * @param {string} ident  Escaped identifier
+ * @returns {string}
+ */
+function unescapeIdent(ident) {
+  return ident.replace(/\\(?:([0-9a-fA-F]{1,6})\s?|([\s\S]))/g,
+    (_, hex, char) => hex ? String.fromCodePoint(parseInt(hex, 16)) : char);
+}
+
+/**
+ * The class names a selector requires to match.
+ * Classes inside :not(...) are ignored as they don't need to be present.
+ *
+ * @param {string} selector  A single selector
+ * @returns {string[]}       Unescaped class names
+ */
+export function selectorClasses(selector) {
+  const required = selector.replace(/:not\([^)]*\)/g, '');
+  const classes = [];
+  const classRegex = /\.((?:\\[0-9a-fA-F]{1,6}\s?|\\[\s\S]|[^\s.#:[\]>+~,()\\*])+)/g;
+  let match;
+  while ((match = classRegex.exec(required)) !== null) {
+    classes.push(unescapeIdent(match[1]));
+  }
+  return classes;
+}
+
+/**
+ * Reduce a compiled stylesheet to the rules a page needs.
+ *
+ * A selector is kept when every class it requires is used on the page, so
+ * element and :root selectors (preflight, theme variables) are always kept.
+ * Comments and at-rules left empty after pruning are removed.
+ *
+ * @param {import('postcss').Root} root     Parsed compiled CSS. Not modified.
+ * @param {Set<string>}           classes   Classes used on the page
+ * @returns {string}                        The critical CSS
+ */
+export function extractCriticalCSS(root, classes) {
+  const critical = root.clone();
+
+  critical.walkComments((comment) => comment.remove());
+
+  critical.walkRules((rule) => {
+    // Keyframe steps (from, to, 50%) are not selectors.
+    if (rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+
+    const selectors = rule.selectors.filter(
+      (selector) => selectorClasses(selector).every((name) => classes.has(name))
+    );
+    if (selectors.length) {
+      rule.selectors = selectors;
+    } else {
+      rule.remove();
+    }
+  });
+
+  // Remove at-rules (@media, @layer, @supports...) emptied by the pruning above.
+  // Statement at-rules such as @layer a, b; have no nodes and are kept.
+  let removed;
+  do {
+    removed = false;
+    critical.walkAtRules((atRule) => {
+      if (atRule.nodes && atRule.nodes.length === 0) {
+        atRule.remove();
+        removed = true;
+      }
+    });
+  } while (removed);
+
+  return critical.toString().trim();
+}
+
+/**
+ * Parse compiled CSS once so it can be pruned for many pages.
+ *
+ * @param {string} css  Compiled CSS
+ * @returns {import('postcss').Root}
+ */
+export function parseCSS(css) {
+  return postcss.parse(css);
+}
+
+/**
+ * Inline critical CSS in front of the stylesheet link for `url` and switch the
+ * link to load asynchronously, keeping its other attributes. A <noscript>
+ * fallback keeps the full stylesheet for visitors without JavaScript.
+ *
+ * @param {string} html             Rendered HTML
+ * @param {string|string[]} url      The stylesheet URL, e.g. "/styles.css", or every URL it may be
+ *                                   linked by, e.g. ["/styles.css", "/docs/styles.css"] with a path prefix
+ * @param {string} criticalCSS      CSS to inline
+ * @returns {string|null}           Updated HTML, or null when the page doesn't link to `url`
+ */
+export function inlineCriticalCSS(html, url, criticalCSS) {
+  const urls = [].concat(url);
+  const linkRegex = /<link\b[^>]*>/gi;
+  let match;
+  while ((match = linkRegex.exec(html)) !== null) {
+    const tag = match[0];
+    const rel = tag.match(/\brel\s*=\s*["']?([^"'\s>]+)/i)?.[1];
+    const href = tag.match(/\bhref\s*=\s*["']?([^"'\s>]+)/i)?.[1];
+    if (rel?.toLowerCase() !== 'stylesheet' || !urls.includes(href?.split(/[?#]/)[0])) continue;
+
+    // The original tag as a preload, so media, integrity and crossorigin still apply.
+    const asyncLink = tag
+      .replace(/\brel\s*=\s*(["']?)stylesheet\1/i, 'rel="preload"')
+      .replace(/\bhref\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/i, (attribute) => `${attribute} as="style" onload="this.onload=null;this.rel='stylesheet'"`);
+    const replacement = `<style>${criticalCSS}</style>${asyncLink}<noscript>${tag}</noscript>`;
+    return html.slice(0, match.index) + replacement + html.slice(match.index + tag.length);
+  }
+  return null;
+}
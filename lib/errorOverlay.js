@@ -0,0 +1,67 @@
+/**
+ * Pull the parts worth showing out of a compile error.
+ * PostCSS CssSyntaxErrors carry a file, line, column and source; other errors
+ * (e.g. Tailwind failing to resolve an @import) only have a message.
+ *
+ * @param {Error} err  The error thrown by PostCSS or Tailwind
+ * @returns {{ message: string, location: string|null, codeFrame: string|null }}
+ */
+export function describeError(err) {
+  const message = err.reason ?? err.message ?? String(err);
+
+  let location = null;
+  if (err.file) {
+    location = err.line ? `${err.file}:${err.line}:${err.column ?? 1}` : err.file;
+  }
+
+  let codeFrame = null;
+  if (typeof err.showSourceCode === 'function') {
+    // showSourceCode returns '' when PostCSS has no source to show.
+    codeFrame = err.showSourceCode(false) || null;
+  }
+
+  return { message, location, codeFrame };
+}
+
+/**
+ * Escape text for use inside a CSS string: backslashes, quotes and newlines.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function cssString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\A ')}"`;
+}
+
+/**
+ * Build a stylesheet that shows a compile error on top of the page.
+ *
+ * The overlay is drawn with html::after so it needs no markup or script. It is
+ * appended to the last good CSS and disappears when the next successful build
+ * overwrites the file.
+ *
+ * @param {Error} err  The error thrown by PostCSS or Tailwind
+ * @returns {string}   CSS that renders the overlay
+ */
+export function errorOverlayCSS(err) {
+  const { message, location, codeFrame } = describeError(err);
+  const text = ['TailwindCSS failed to compile', '', message, location, codeFrame && `\n${codeFrame}`]
+    .filter((line) => line !== null && line !== undefined)
+    .join('\n');
+
+  return `
+/* eleventy-plugin-tailwindcss-4 error overlay */
+html::after {
+  content: ${cssString(text)};
+  position: fixed;
+  inset: 0;
+  z-index: 2147483647;
+  overflow: auto;
+  padding: 2rem;
+  background: rgba(24, 24, 27, 0.95);
+  color: #fca5a5;
+  font: 14px/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+  white-space: pre-wrap;
+}
+`;
+}
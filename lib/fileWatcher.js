@@ -0,0 +1,61 @@
+import { watch } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Watch individual files outside of Eleventy's watcher.
+ *
+ * Eleventy only reads its watch targets when it starts watching, so files
+ * discovered by later builds have to be watched separately.
+ *
+ * The folder holding each file is watched rather than the file itself.
+ * Editors that save by writing a new file and renaming it over the old one
+ * would otherwise leave the watcher on a file that no longer exists.
+ * Watchers are unref'd so they never keep a process alive, unless `persistent`
+ * is set for a process that exists to watch.
+ *
+ * @param {object}  [options]
+ * @param {boolean} [options.persistent]  Keep the process alive while watching
+ * @returns {{ add: (file: string, onChange: (file: string) => void) => boolean, close: () => void }}
+ *   add() returns false when the file's folder can't be watched.
+ */
+export function createFileWatcher({ persistent = false } = {}) {
+  // folder → { watcher, files: Map<basename, onChange> }
+  const folders = new Map();
+
+  const add = (file, onChange) => {
+    const folder = path.dirname(path.resolve(file));
+    const name = path.basename(file);
+
+    let watched = folders.get(folder);
+    if (!watched) {
+      const files = new Map();
+      let watcher;
+      try {
+        watcher = watch(folder, (eventType, filename) => {
+          const callback = filename && files.get(filename.toString());
+          if (callback) callback(path.join(folder, filename.toString()));
+        });
+      } catch {
+        return false;
+      }
+      // A folder that is removed while watched shouldn't crash the process.
+      watcher.on('error', () => {
+        watcher.close();
+        folders.delete(folder);
+      });
+      if (!persistent) watcher.unref();
+      watched = { watcher, files };
+      folders.set(folder, watched);
+    }
+
+    watched.files.set(name, onChange);
+    return true;
+  };
+
+  const close = () => {
+    for (const { watcher } of folders.values()) watcher.close();
+    folders.clear();
+  };
+
+  return { add, close };
+}
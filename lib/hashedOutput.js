@@ -0,0 +1,96 @@
+import { createHash } from 'node:crypto';
+import { readdir, rm } from 'node:fs/promises';
+import path from 'node:path';
+
+// Number of hex characters kept from the content hash.
+const HASH_LENGTH = 8;
+
+/**
+ * Hash generated CSS for use in a cache-busting filename.
+ *
+ * @param {string} content  The generated CSS
+ * @returns {string}        Short hex digest of the content
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+}
+
+/**
+ * Subresource Integrity value for a stylesheet, for <link integrity="...">.
+ *
+ * @param {string} content  The CSS exactly as written to disk
+ * @returns {string}        e.g. "sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC"
+ */
+export function integrityHash(content) {
+  return `sha384-${createHash('sha384').update(content).digest('base64')}`;
+}
+
+/**
+ * Whether an output pattern contains a [hash] placeholder.
+ *
+ * @param {string} pattern  Output path, e.g. "css/[name].[hash].css"
+ * @returns {boolean}
+ */
+export function isHashed(pattern) {
+  return pattern.includes('[hash]');
+}
+
+/**
+ * Replace [name] and/or [hash] placeholders in an output pattern.
+ * Placeholders without a value are left untouched.
+ *
+ * @param {string} pattern        Output path, e.g. "css/[name].[hash].css"
+ * @param {object} values         { name, hash }
+ * @returns {string}              The interpolated path
+ */
+export function interpolateOutput(pattern, { name, hash } = {}) {
+  let result = pattern;
+  if (name !== undefined) result = result.replaceAll('[name]', name);
+  if (hash !== undefined) result = result.replaceAll('[hash]', hash);
+  return result;
+}
+
+/**
+ * Match the filenames an output pattern can produce, with any hash of the
+ * expected length in place of [hash], and their .map files.
+ *
+ * @param {string} pattern  Output path with [name] already replaced, e.g. "_site/css/site.[hash].css"
+ * @returns {RegExp}        Tests a basename, e.g. "site.1a2b3c4d.css"
+ */
+export function outputMatcher(pattern) {
+  const escaped = path.basename(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replaceAll('\\[hash\\]', `[0-9a-f]{${HASH_LENGTH}}`)}(\\.map)?$`);
+}
+
+/**
+ * Delete files left behind by earlier builds of a hashed output.
+ *
+ * Only files in the same folder whose name matches the pattern with a hash of
+ * the expected length are removed, along with their .map files. The file that
+ * was just written is always kept.
+ *
+ * @param {string} pattern      Output path with [name] already replaced, e.g. "_site/css/site.[hash].css"
+ * @param {string} currentFile  Path of the file that was just written
+ * @returns {Promise<string[]>} Paths of the removed files
+ */
+export async function removeStaleOutputs(pattern, currentFile) {
+  const dir = path.dirname(pattern);
+  const matcher = outputMatcher(pattern);
+  const keep = new Set([path.basename(currentFile), path.basename(currentFile) + '.map']);
+
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const removed = [];
+  for (const name of names) {
+    if (!matcher.test(name) || keep.has(name)) continue;
+    const file = path.join(dir, name);
+    await rm(file, { force: true });
+    removed.push(file);
+  }
+  return removed;
+}
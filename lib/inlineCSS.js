@@ -0,0 +1,207 @@
+import { transform, transformStyleAttribute } from 'lightningcss';
+import { extractClasses, extractCriticalCSS, selectorClasses } from './criticalCSS.js';
+import { minifyWithLightningCSS } from './lightningcss.js';
+
+// A selector that is nothing but one class, e.g. ".p-4" or ".w-1\/2".
+const singleClassRegex = /^\.(?:\\[0-9a-fA-F]{1,6}\s?|\\[\s\S]|[^\s.#:[\]>+~,()\\*])+$/;
+
+/**
+ * Remove the sourceMappingURL comment the compiler appends, which means
+ * nothing once the CSS is inlined into a page.
+ *
+ * @param {string} css  Compiled CSS
+ * @returns {string}
+ */
+export function stripSourceMapComment(css) {
+  return css.replace(/\s*\/\*# sourceMappingURL=[^*]*\*\/\s*$/, '');
+}
+
+/**
+ * Minify CSS for inlining, with Lightning CSS.
+ *
+ * @param {string} css
+ * @param {object} targets  Lightning CSS targets, see resolveTargets()
+ * @returns {string}
+ */
+export function minifyInlineCSS(css, targets) {
+  return minifyWithLightningCSS({ css, filename: 'inline.css', targets }).css;
+}
+
+/**
+ * Lower CSS for the targets with Lightning CSS, e.g. flattening nesting, without minifying it.
+ *
+ * @param {string} css
+ * @param {object} targets  Lightning CSS targets, see resolveTargets()
+ * @returns {string}
+ */
+function lowerInlineCSS(css, targets) {
+  return transform({ filename: 'inline.css', code: Buffer.from(css), targets }).code.toString().trimEnd();
+}
+
+/**
+ * Replace var() references with their values. Returns undefined when a
+ * variable has no value and no fallback, as the browser would then drop the
+ * declaration.
+ *
+ * @param {string} value           A declaration value
+ * @param {Map<string, string>} vars  Custom property values by name
+ * @param {Set<string>} [resolving]   Names being resolved, to stop cycles
+ * @returns {string|undefined}
+ */
+function resolveVars(value, vars, resolving = new Set()) {
+  let result = '';
+  let index = 0;
+  for (let start = value.indexOf('var(', index); start !== -1; start = value.indexOf('var(', index)) {
+    // Find the parenthesis closing this var(, skipping nested ones in the fallback.
+    let end = start + 3;
+    for (let depth = 0; end < value.length; end++) {
+      if (value[end] === '(') depth++;
+      else if (value[end] === ')' && --depth === 0) break;
+    }
+
+    const args = value.slice(start + 4, end);
+    const comma = args.indexOf(',');
+    const name = (comma === -1 ? args : args.slice(0, comma)).trim();
+    const fallback = comma === -1 ? undefined : args.slice(comma + 1).trim();
+
+    let replacement;
+    const own = vars.get(name);
+    if (own !== undefined && own !== 'initial' && !resolving.has(name)) {
+      replacement = resolveVars(own, vars, new Set([...resolving, name]));
+    }
+    if (replacement === undefined && fallback !== undefined) {
+      replacement = resolveVars(fallback, vars, resolving);
+    }
+    if (replacement === undefined) return undefined;
+
+    result += value.slice(index, start) + replacement;
+    index = end + 1;
+  }
+  return result + value.slice(index);
+}
+
+/**
+ * Whether a rule applies unconditionally, i.e. it is only nested in @layer blocks.
+ * Rules inside @media, @supports and the like can't become style attributes.
+ *
+ * @param {import('postcss').Rule} rule
+ * @returns {boolean}
+ */
+function isUnconditional(rule) {
+  for (let parent = rule.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+    if (parent.type !== 'atrule' || parent.name.toLowerCase() !== 'layer') return false;
+  }
+  return true;
+}
+
+/**
+ * Move the rules a page uses into style attributes, for HTML email.
+ *
+ * Rules whose selectors are single classes, outside any @media or @supports,
+ * are copied onto the elements that have those classes, in source order. CSS
+ * variables are replaced with their values, as many email clients don't
+ * support them, and the result is tidied by Lightning CSS for `targets`.
+ * Any existing style attribute still wins.
+ *
+ * Everything else the page uses (hover and responsive variants, base styles)
+ * is kept in a <style> at the start of <head>, or of the HTML if it has none,
+ * lowered by Lightning CSS for `targets`.
+ *
+ * @param {string} html                       Rendered HTML
+ * @param {import('postcss').Root} root       Parsed compiled CSS. Not modified.
+ * @param {object} [options]
+ * @param {boolean} [options.minify]          Minify the remaining <style> CSS
+ * @param {object}  [options.targets]         Lightning CSS targets, see resolveTargets()
+ * @returns {string}                          The HTML with styles inlined
+ */
+export function inlineStyles(html, root, { minify = false, targets } = {}) {
+  const classes = extractClasses(html);
+  const remaining = root.clone();
+
+  // Theme variables and @property initial values are what var() resolves to.
+  const rootVars = new Map();
+  remaining.walkAtRules('property', (atRule) => {
+    atRule.walkDecls('initial-value', (decl) => {
+      rootVars.set(atRule.params.trim(), decl.value);
+    });
+  });
+  remaining.walkRules((rule) => {
+    if (!rule.selectors.some((selector) => selector === ':root' || selector === ':host')) return;
+    rule.each((node) => {
+      if (node.type === 'decl' && node.prop.startsWith('--')) rootVars.set(node.prop, node.value);
+    });
+  });
+
+  // Collect the inlinable declarations of classes used on the page, and take them out of the remaining CSS.
+  const inlinable = [];
+  remaining.walkRules((rule) => {
+    if (!isUnconditional(rule) || !rule.selectors.every((selector) => singleClassRegex.test(selector))) return;
+
+    const names = rule.selectors.map((selector) => selectorClasses(selector)[0]).filter((name) => classes.has(name));
+    if (names.length === 0) return;
+
+    const decls = [];
+    rule.each((node) => {
+      if (node.type !== 'decl') return;
+      decls.push({ prop: node.prop, value: node.value, important: node.important });
+      node.remove();
+    });
+    // Nested variants such as &:hover stay behind in the rule.
+    if (rule.nodes.length === 0) rule.remove();
+    if (decls.length) inlinable.push({ names, decls });
+  });
+
+  const styled = html.replace(/<[a-zA-Z][^>]*\sclass\s*=\s*(["'])([\s\S]*?)\1[^>]*>/g, (tag, quote, classList) => {
+    const elementClasses = new Set(classList.split(/\s+/));
+
+    // Later rules override earlier ones, unless the earlier one is !important.
+    const props = new Map();
+    for (const { names, decls } of inlinable) {
+      if (!names.some((name) => elementClasses.has(name))) continue;
+      for (const decl of decls) {
+        if (props.get(decl.prop)?.important && !decl.important) continue;
+        props.delete(decl.prop);
+        props.set(decl.prop, decl);
+      }
+    }
+    if (props.size === 0) return tag;
+
+    const vars = new Map(rootVars);
+    for (const [prop, { value }] of props) {
+      if (prop.startsWith('--')) vars.set(prop, value);
+    }
+
+    const declarations = [];
+    for (const [prop, { value, important }] of props) {
+      if (prop.startsWith('--')) continue;
+      const resolved = resolveVars(value, vars);
+      if (resolved !== undefined) declarations.push(`${prop}: ${resolved}${important ? ' !important' : ''}`);
+    }
+
+    const existing = tag.match(/\sstyle\s*=\s*(["'])([\s\S]*?)\1/i);
+    let style = declarations.join('; ') + (existing ? `; ${existing[2]}` : '');
+    try {
+      style = transformStyleAttribute({ code: Buffer.from(style), minify: true, targets, errorRecovery: true }).code.toString();
+    } catch {
+      // Keep the declarations as written if Lightning CSS can't parse them.
+    }
+    // The attribute is double-quoted, so quotes inside the CSS become single quotes.
+    const attribute = ` style="${style.replaceAll('"', "'")}"`;
+
+    if (existing) return tag.slice(0, existing.index) + attribute + tag.slice(existing.index + existing[0].length);
+    const end = tag.match(/\s*\/?>$/);
+    return tag.slice(0, end.index) + attribute + end[0].trimStart();
+  });
+
+  // Whatever couldn't be inlined, limited to the classes the page uses.
+  // Email clients lag behind browsers, so it's lowered for the targets whether or not it's minified.
+  let css = extractCriticalCSS(remaining, classes);
+  if (css) css = minify ? minifyInlineCSS(css, targets) : lowerInlineCSS(css, targets);
+  if (!css) return styled;
+
+  const style = `<style>${css}</style>`;
+  const head = styled.match(/<head(\s[^>]*)?>/i);
+  if (!head) return style + styled;
+  const at = head.index + head[0].length;
+  return styled.slice(0, at) + style + styled.slice(at);
+}
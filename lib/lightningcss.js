@@ -0,0 +1,47 @@
+import browserslist from 'browserslist';
+import { transform, browserslistToTargets } from 'lightningcss';
+
+/**
+ * Turn the `targets` option into Lightning CSS targets.
+ *
+ * Accepts a browserslist query (string or array) or a ready-made Lightning CSS
+ * targets object. Without one, the project's browserslist config is used
+ * (package.json, .browserslistrc...), falling back to browserslist's defaults.
+ *
+ * @param {string|string[]|object} [targets]  The targets option
+ * @param {string} [from]                     File to look up the browserslist config from
+ * @returns {object}                          Lightning CSS targets
+ */
+export function resolveTargets(targets, from) {
+  if (targets && typeof targets === 'object' && !Array.isArray(targets)) return targets;
+
+  const query = targets ?? browserslist.loadConfig({ path: from }) ?? browserslist.defaults;
+  return browserslistToTargets(browserslist(query));
+}
+
+/**
+ * Minify CSS with Lightning CSS, lowering modern syntax (oklch colors,
+ * nesting, @property...) for the given browser targets.
+ *
+ * @param {object}  params
+ * @param {string}  params.css        CSS to minify
+ * @param {object}  [params.map]      Source map of `css`, used as the input map
+ * @param {string}  params.filename   Output filename, used in the source map
+ * @param {object}  params.targets    Lightning CSS targets, see resolveTargets()
+ * @returns {{ css: string, map: object|null }}
+ */
+export function minifyWithLightningCSS({ css, map, filename, targets }) {
+  const result = transform({
+    filename,
+    code: Buffer.from(css),
+    minify: true,
+    targets,
+    sourceMap: Boolean(map),
+    inputSourceMap: map ? JSON.stringify(map) : undefined,
+  });
+
+  return {
+    css: result.code.toString(),
+    map: result.map ? JSON.parse(result.map.toString()) : null,
+  };
+}
@@ -0,0 +1,31 @@
+import path from 'node:path';
+
+/**
+ * Build the asset manifest describing the stylesheets written in a build.
+ *
+ * Keys are the entry inputs as given in the options (relative to the Eleventy
+ * input folder). Paths in the values are relative to the Eleventy output
+ * folder and always use forward slashes.
+ *
+ * Entries that have not been written (missing input, failed compile) are left out.
+ *
+ * @param {object[]} entries    Prepared entries: { input, currentFile, hash, size, mapFile }
+ * @param {string}   outputDir  The Eleventy output folder
+ * @returns {object}            { [input]: { file, hash, size, sourceMap } }
+ */
+export function createManifest(entries, outputDir) {
+  const relative = (file) => path.relative(outputDir, file).split(path.sep).join('/');
+  const manifest = {};
+
+  for (const entry of entries) {
+    if (!entry.hash) continue;
+    manifest[entry.input] = {
+      file: relative(entry.currentFile),
+      hash: entry.hash,
+      size: entry.size,
+      sourceMap: entry.mapFile ? relative(entry.mapFile) : null,
+    };
+  }
+
+  return manifest;
+}
@@ -1,61 +1,243 @@
 import { existsSync, readFileSync } from 'node:fs';
 import path from 'node:path';
+import postcss from 'postcss';
+import { applyAlias, isInstalledPackage, resolveModule } from './resolveModule.js';
+
+// Tailwind directives that reference other files, and whether the file they
+// point at is CSS that can contain further directives.
+const FILE_DIRECTIVES = {
+  import: { recurse: true, type: 'css' },
+  reference: { recurse: true, type: 'css' },
+  plugin: { recurse: false, type: 'js' },
+  config: { recurse: false, type: 'js' },
+};
+
+/**
+ * Read the quoted path at the start of a directive's params.
+ * Returns null for anything else, e.g. url(...), inline(...) or `not "..."`.
+ *
+ * @param {string} params  At-rule params, e.g. '"./button.css" layer(components)'
+ * @returns {string|null}
+ */
+export function quotedPath(params) {
+  const match = params.match(/^(['"])(.*?)\1/);
+  return match ? match[2] : null;
+}
+
+/**
+ * Find the file a directive points at.
+ *
+ * @param {string} importPath  The path from the directive
+ * @param {string} dir         Folder of the file containing the directive
+ * @param {'css'|'js'} type    What the directive loads
+ * @param {object} [aliases]   The aliases option
+ * @returns {{ file?: string, notFound?: string }}
+ *   `file` when resolved, `notFound` with the expected path for a missing local
+ *   file, and neither for a package that can't be resolved.
+ */
+function resolveDirectivePath(importPath, dir, type, aliases) {
+  if (/^\.{0,2}\//.test(importPath)) {
+    const file = path.resolve(dir, importPath);
+    return existsSync(file) ? { file } : { notFound: file };
+  }
+
+  // Plain paths with an extension have always been treated as local files.
+  const local = path.extname(importPath) ? path.resolve(dir, importPath) : null;
+  if (local && existsSync(local)) return { file: local };
+
+  const aliased = applyAlias(importPath, aliases);
+  if (aliased) {
+    const file = resolveModule(aliased, dir, type);
+    return file ? { file } : { notFound: aliased };
+  }
+
+  const file = resolveModule(importPath, dir, type);
+  if (file) return { file };
+  return local ? { notFound: local } : {};
+}
+
+/**
+ * A node in the import graph: one directive and the file it points at.
+ *
+ * @typedef {object} ImportNode
+ * @property {string|null} importer   The file containing the directive, null for the entry
+ * @property {string|null} directive  'import', 'reference', 'plugin' or 'config', null for the entry
+ * @property {string} specifier       The path as written in the directive
+ * @property {string|null} resolved   Absolute path, null for a package that can't be resolved
+ * @property {'ok'|'missing'|'bare'|'cycle'} status
+ *   ok — a local file; missing — a local file that doesn't exist;
+ *   bare — a package, installed or not; cycle — a file that imports itself through `chain`
+ * @property {string[]} [chain]       For cycles, the files from the entry back to the repeated file
+ * @property {Error} [error]          Set when the file exists but can't be parsed
+ * @property {ImportNode[]} children  The directives in this file. Empty unless status is ok.
+ */
 
 /**
- * Recursively discover local CSS files referenced by @import statements.
+ * Build the tree of files referenced by Tailwind CSS directives, starting at
+ * an entry file.
+ *
+ * The CSS is parsed with PostCSS, so directives inside comments or strings are
+ * never picked up. Directives handled:
+ *   - @import "..." and @reference "..."  — CSS, recursed into
+ *   - @plugin "..." and @config "..."     — JS files, not recursed into
+ *
+ * @source directives are handled by resolveSources().
  *
  * Resolution rules:
- *   - Skip @import url(...) — filtered out by regex
- *   - Skip bare module imports (no file extension, e.g. "tailwindcss")
- *   - Resolve everything else relative to the file containing the @import
- *   - Recurse into each resolved file; use a Set to prevent circular loops
+ *   - Skip @import url(...) and anything else that isn't a quoted path
+ *   - Paths starting with ./, ../ or / are resolved relative to the file containing the directive
+ *   - Paths with an extension, e.g. "components/button.css", are local files when they exist
+ *   - Paths starting with an alias from `options.aliases` are resolved from the aliased folder
+ *   - Everything else is resolved with Node's algorithm: packages (`exports`, `style`)
+ *     and package.json `imports` ("#...")
+ *   - Files inside installed packages are bare, Eleventy never watches node_modules.
+ *     Linked workspace packages resolve to their real location and are kept.
  *
- * @param {string} filePath  Absolute path to a CSS file
- * @param {object} [logger]  Optional callbacks: { onSkipBare, onSkipNotFound, onWatch }
- * @param {Set}    [seen]    Internal — tracks visited files to avoid circular imports
- * @returns {string[]}       Absolute paths of discovered local CSS imports
+ * A file imported from several places is only read once; its nodes share their children.
+ *
+ * @param {string} entry     Path to the entry CSS file
+ * @param {object} [options] Optional { aliases }, mapping prefixes to folders relative to the project root
+ * @returns {ImportNode}     The entry node, with status 'missing' when the entry doesn't exist
  */
-export function resolveImports(filePath, logger = {}, seen = new Set()) {
-  const imports = [];
-  if (!existsSync(filePath) || seen.has(filePath)) return imports;
-  seen.add(filePath);
-
-  const raw = readFileSync(filePath, 'utf-8');
-  const dir = path.dirname(filePath);
-
-  // Strip CSS comments (/* ... */) so we don't match @import inside comments
-  const content = raw.replace(/\/\*[\s\S]*?\*\//g, '');
-
-  // Match @import "..." or @import '...' — but not @import url(...)
-  const importRegex = /@import\s+(?!url\()['"]([^'"]+)['"]/g;
-  let match;
-  while ((match = importRegex.exec(content)) !== null) {
-    const importPath = match[1];
-
-    // Skip bare module imports (no file extension).
-    // e.g. "tailwindcss", "open-props/normalize" — these are npm packages, not local files.
-    // Imports with a file extension like "components/button.css" are treated as local.
-    if (path.extname(importPath) === '') {
-      logger.onSkipBare?.(importPath);
-      continue;
-    }
+export function buildImportGraph(entry, options = {}) {
+  const resolvedEntry = path.resolve(entry);
+  const root = {
+    importer: null,
+    directive: null,
+    specifier: entry,
+    resolved: resolvedEntry,
+    status: existsSync(resolvedEntry) ? 'ok' : 'missing',
+    children: [],
+  };
+
+  // file → children, so each file is parsed once however often it is imported.
+  const expanded = new Map();
 
-    const resolved = path.resolve(dir, importPath);
+  const expand = (node, chain) => {
+    if (expanded.has(node.resolved)) {
+      node.children = expanded.get(node.resolved);
+      return;
+    }
+    expanded.set(node.resolved, node.children);
 
-    if (!existsSync(resolved)) {
-      logger.onSkipNotFound?.(resolved);
-      continue;
+    let parsed;
+    try {
+      parsed = postcss.parse(readFileSync(node.resolved, 'utf-8'), { from: node.resolved });
+    } catch (err) {
+      // Invalid CSS fails the compile with a proper error; there's nothing more to discover here.
+      node.error = err;
+      return;
     }
 
-    // Only add if not already seen (prevents circular imports appearing in results)
-    if (!seen.has(resolved)) {
-      logger.onWatch?.(resolved);
-      imports.push(resolved);
+    const dir = path.dirname(node.resolved);
+    parsed.walkAtRules((atRule) => {
+      const directive = FILE_DIRECTIVES[atRule.name];
+      if (!directive) return;
+
+      const specifier = quotedPath(atRule.params);
+      if (specifier === null) return;
+
+      const { file, notFound } = resolveDirectivePath(specifier, dir, directive.type, options.aliases);
+      const child = {
+        importer: node.resolved,
+        directive: atRule.name,
+        specifier,
+        resolved: file ?? notFound ?? null,
+        status: notFound ? 'missing' : !file || isInstalledPackage(file) ? 'bare' : 'ok',
+        children: [],
+      };
+
+      if (child.status === 'ok' && chain.includes(file)) {
+        child.status = 'cycle';
+        child.chain = [...chain, file];
+      }
+
+      node.children.push(child);
+      if (child.status === 'ok' && directive.recurse) expand(child, [...chain, file]);
+    });
+  };
+
+  if (root.status === 'ok') expand(root, [resolvedEntry]);
+  return root;
+}
 
-      // Recurse into nested imports
-      imports.push(...resolveImports(resolved, logger, seen));
+/**
+ * List the local files in an import graph, in the order they are imported.
+ * Each file is listed once; cycles and the entry itself are left out.
+ *
+ * @param {ImportNode} graph  From buildImportGraph()
+ * @param {object} [logger]   Optional callbacks: { onSkipBare, onSkipNotFound, onWatch, onParseError }
+ * @returns {string[]}        Absolute paths of discovered local files
+ */
+export function walkImportGraph(graph, logger = {}) {
+  const files = [];
+  const seen = new Set([graph.resolved]);
+
+  const walk = (node) => {
+    if (node.error) logger.onParseError?.(node.resolved, node.error);
+
+    for (const child of node.children) {
+      if (child.status === 'missing') {
+        logger.onSkipNotFound?.(child.resolved);
+      } else if (child.status === 'bare') {
+        logger.onSkipBare?.(child.specifier);
+      } else if (child.status === 'ok' && !seen.has(child.resolved)) {
+        seen.add(child.resolved);
+        logger.onWatch?.(child.resolved);
+        files.push(child.resolved);
+        walk(child);
+      }
     }
-  }
+  };
+
+  if (graph.status === 'ok') walk(graph);
+  return files;
+}
+
+/**
+ * Recursively discover local files referenced by Tailwind CSS directives.
+ * See buildImportGraph() for the directives and resolution rules.
+ *
+ * @param {string} filePath  Absolute path to a CSS file
+ * @param {object} [logger]  Optional callbacks: { onSkipBare, onSkipNotFound, onWatch, onParseError }
+ * @param {object} [options] Optional { aliases }, mapping prefixes to folders relative to the project root
+ * @returns {string[]}       Absolute paths of discovered local files
+ */
+export function resolveImports(filePath, logger = {}, options = {}) {
+  return walkImportGraph(buildImportGraph(filePath, options), logger);
+}
+
+/**
+ * Draw an import graph as an indented tree, one directive per line.
+ * Paths are shown relative to `baseDir`.
+ *
+ * @param {ImportNode} graph      From buildImportGraph()
+ * @param {string} [baseDir]      Folder to show paths relative to, defaults to the working directory
+ * @returns {string}
+ */
+export function formatImportGraph(graph, baseDir = process.cwd()) {
+  const rel = (file) => path.relative(baseDir, file);
+  const label = (node) => {
+    const shown = node.status === 'ok' && node.resolved ? rel(node.resolved) : node.specifier;
+    if (node.status === 'cycle') return `${shown} (cycle: ${node.chain.map(rel).join(' → ')})`;
+    if (node.status === 'missing') return `${shown} (missing: ${rel(node.resolved)})`;
+    if (node.status === 'bare') return `${shown} (package)`;
+    return node.error ? `${shown} (could not parse)` : shown;
+  };
+
+  const lines = [label(graph)];
+  const draw = (node, indent, drawn) => {
+    node.children.forEach((child, i) => {
+      const last = i === node.children.length - 1;
+      lines.push(`${indent}${last ? '└─ ' : '├─ '}${label(child)}`);
+      // Files imported more than once are only drawn in full the first time.
+      if (child.children.length && !drawn.has(child.resolved)) {
+        drawn.add(child.resolved);
+        draw(child, indent + (last ? '   ' : '│  '), drawn);
+      }
+    });
+  };
+  draw(graph, '', new Set([graph.resolved]));
 
-  return imports;
+  return lines.join('\n');
 }
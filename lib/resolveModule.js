@@ -0,0 +1,127 @@
+import fs, { realpathSync } from 'node:fs';
+import path from 'node:path';
+import enhancedResolve from 'enhanced-resolve';
+
+const { CachedInputFileSystem, ResolverFactory } = enhancedResolve;
+
+// Resolvers configured like Tailwind's own, so files are found where Tailwind will load them from:
+// CSS through the `style` condition and field, JavaScript through `import`, then `require`.
+// Nothing is cached, as files come and go while Eleventy is watching.
+const createResolver = (options) => ResolverFactory.createResolver({
+  fileSystem: new CachedInputFileSystem(fs, 0),
+  useSyncFileSystemCalls: true,
+  modules: ['node_modules', ...(process.env.NODE_PATH ? [process.env.NODE_PATH] : [])],
+  ...options,
+});
+
+const jsExtensions = ['.js', '.json', '.node', '.ts'];
+const resolvers = {
+  css: [
+    createResolver({ extensions: ['.css'], mainFields: ['style'], conditionNames: ['style'] }),
+  ],
+  js: [
+    createResolver({ extensions: jsExtensions, conditionNames: ['node', 'import'] }),
+    createResolver({ extensions: jsExtensions, conditionNames: ['node', 'require'] }),
+  ],
+};
+
+/**
+ * Swap a matching alias prefix for the folder it points at.
+ *
+ * Aliases map a prefix to a path relative to the project root, e.g.
+ * { '~': 'src' } turns "~/css/base.css" into "/project/src/css/base.css".
+ * The longest matching prefix wins.
+ *
+ * @param {string} specifier  The path from the directive
+ * @param {object} [aliases]  The aliases option
+ * @returns {string|null}     Absolute path, or null when no alias matches
+ */
+export function applyAlias(specifier, aliases = {}) {
+  const prefix = Object.keys(aliases)
+    .sort((a, b) => b.length - a.length)
+    .find((key) => specifier === key || specifier.startsWith(key.endsWith('/') ? key : key + '/'));
+  if (prefix === undefined) return null;
+
+  const rest = specifier.slice(prefix.length).replace(/^\//, '');
+  return path.resolve(aliases[prefix], rest);
+}
+
+/**
+ * Resolve a directive's path with Node's algorithm: relative and absolute
+ * paths, packages (`exports`, `style`), and package.json `imports` ("#...").
+ *
+ * The result is resolved through symlinks, so files in linked workspace
+ * packages point at their real location rather than into node_modules.
+ *
+ * @param {string} specifier  The path from the directive, with any alias already applied
+ * @param {string} fromDir    Folder of the file containing the directive
+ * @param {'css'|'js'} [type] Whether the directive loads CSS (@import) or JavaScript (@plugin)
+ * @returns {string|null}     Absolute path, or null when it can't be resolved
+ */
+export function resolveModule(specifier, fromDir, type = 'css') {
+  for (const resolver of resolvers[type]) {
+    try {
+      const resolved = resolver.resolveSync({}, fromDir, specifier);
+      if (resolved) return realpathSync(resolved);
+    } catch {
+      // Not resolvable with these conditions, try the next resolver.
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a resolved file is part of an installed package.
+ * Eleventy never watches node_modules, so these are skipped.
+ *
+ * @param {string} file  Absolute, symlink-resolved path
+ * @returns {boolean}
+ */
+export function isInstalledPackage(file) {
+  return file.split(path.sep).includes('node_modules');
+}
+
+/**
+ * Let Tailwind resolve aliased paths while `fn` runs.
+ *
+ * Tailwind has no resolver option, but checks globalThis.__tw_resolve before
+ * its own resolution. The hook is only installed for the duration of `fn` and
+ * passes anything it doesn't handle on to a hook that was already there.
+ *
+ * @param {object}   aliases  The aliases option
+ * @param {Function} fn       Async work that compiles CSS
+ * @returns {Promise<*>}      Whatever `fn` returns
+ */
+export async function withAliases(aliases, fn) {
+  if (!aliases || Object.keys(aliases).length === 0) return fn();
+
+  const previous = globalThis.__tw_resolve;
+  globalThis.__tw_resolve = (id, base) => {
+    const aliased = applyAlias(id, aliases);
+    const resolved = aliased && (resolveModule(aliased, base, 'css') ?? resolveModule(aliased, base, 'js'));
+    return resolved || previous?.(id, base);
+  };
+
+  try {
+    return await fn();
+  } finally {
+    globalThis.__tw_resolve = previous;
+  }
+}
+
+/**
+ * A Tailwind resolver for aliased paths, for compiles that take their own
+ * resolvers such as @tailwindcss/node's compile(). Unlike withAliases() it
+ * leaves globalThis alone, so compiles can run at the same time.
+ *
+ * @param {object}     aliases  The aliases option
+ * @param {'css'|'js'} type     Whether it resolves stylesheets or JavaScript modules
+ * @returns {(id: string, base: string) => Promise<string|undefined>}
+ *   Resolves to undefined for paths without an alias, leaving them to Tailwind
+ */
+export function aliasResolver(aliases, type) {
+  return async (id, base) => {
+    const aliased = applyAlias(id, aliases);
+    return (aliased && resolveModule(aliased, base, type)) || undefined;
+  };
+}
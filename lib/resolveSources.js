@@ -0,0 +1,97 @@
+import { existsSync, readFileSync, realpathSync } from 'node:fs';
+import path from 'node:path';
+import postcss from 'postcss';
+import { quotedPath } from './resolveImports.js';
+
+// Characters that make a path segment a glob rather than a plain file or folder name.
+const GLOB_CHARS = /[*?{}[\]!]/;
+
+/**
+ * Resolve a @source path relative to the CSS file declaring it.
+ *
+ * Globs are split at their first glob segment so only the static part is
+ * resolved, e.g. "../components/**\/*.njk" → "/project/components/**\/*.njk".
+ * The static part is resolved through symlinks, so sources in linked
+ * workspace packages point at the real folder rather than into node_modules.
+ *
+ * @param {string} dir         Folder of the CSS file declaring the @source
+ * @param {string} sourcePath  The path from the directive
+ * @returns {string}           Absolute path or glob
+ */
+function resolveSourcePath(dir, sourcePath) {
+  const segments = sourcePath.split('/');
+  const globIndex = segments.findIndex((segment) => GLOB_CHARS.test(segment));
+  const base = globIndex === -1 ? sourcePath : segments.slice(0, globIndex).join('/');
+
+  let resolved = path.resolve(dir, base || '.');
+  if (existsSync(resolved)) resolved = realpathSync(resolved);
+
+  return globIndex === -1
+    ? resolved
+    : [resolved.split(path.sep).join('/'), ...segments.slice(globIndex)].join('/');
+}
+
+/**
+ * Whether a source is covered by an exclusion: the same path or glob, or a
+ * path inside an excluded folder.
+ *
+ * @param {string}   source    Absolute path or glob
+ * @param {string[]} excluded  Absolute paths or globs from @source not
+ * @returns {boolean}
+ */
+function isExcluded(source, excluded) {
+  return excluded.some((exclude) => source === exclude || source.startsWith(exclude + path.sep));
+}
+
+/**
+ * Collect the files, folders and globs Tailwind scans, from the @source
+ * directives of the given CSS files.
+ *
+ * Handled forms:
+ *   - @source "../content" and @source "../components/**\/*.njk"  — included
+ *   - @source not "../content/legacy"                              — excluded
+ *   - @import "tailwindcss" source("../src")                       — included
+ *   - @source inline(...) and source(none)                         — ignored, no files involved
+ *
+ * Sources covered by an exclusion are dropped from `include`. A folder that
+ * merely contains an excluded path is kept, as it can only be watched whole.
+ *
+ * @param {string[]} cssFiles  Absolute paths of the entry file and its imported CSS
+ * @returns {{ include: string[], exclude: string[] }}  Absolute paths and globs
+ */
+export function resolveSources(cssFiles) {
+  const include = new Set();
+  const exclude = new Set();
+
+  for (const filePath of cssFiles) {
+    if (!existsSync(filePath)) continue;
+
+    let root;
+    try {
+      root = postcss.parse(readFileSync(filePath, 'utf-8'), { from: filePath });
+    } catch {
+      // Invalid CSS fails the compile with a proper error; there are no sources to find here.
+      continue;
+    }
+
+    const dir = path.dirname(filePath);
+
+    root.walkAtRules((atRule) => {
+      if (atRule.name === 'source') {
+        const negated = /^not\s+/.test(atRule.params);
+        const sourcePath = quotedPath(atRule.params.replace(/^not\s+/, ''));
+        if (sourcePath === null) return;
+        (negated ? exclude : include).add(resolveSourcePath(dir, sourcePath));
+      } else if (atRule.name === 'import') {
+        const sourcePath = atRule.params.match(/\bsource\(\s*(['"])(.*?)\1\s*\)/)?.[2];
+        if (sourcePath) include.add(resolveSourcePath(dir, sourcePath));
+      }
+    });
+  }
+
+  const excluded = [...exclude];
+  return {
+    include: [...include].filter((source) => !isExcluded(source, excluded)),
+    exclude: excluded,
+  };
+}
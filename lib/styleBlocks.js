@@ -0,0 +1,71 @@
+import path from 'node:path';
+import { compile as createCompiler } from '@tailwindcss/node';
+import { aliasResolver } from './resolveModule.js';
+
+// A <style> element: its start tag, contents and end tag.
+const styleBlockRegex = /(<style\b[^>]*>)([\s\S]*?)(<\/style\s*>)/gi;
+
+// Syntax only Tailwind understands. Blocks without it are left exactly as written.
+const tailwindSyntaxRegex = /@apply\b|@variant\b|(?:--theme|--spacing|--alpha|\btheme)\(/;
+
+/**
+ * Whether a <style> block needs compiling: it holds CSS that uses Tailwind directives
+ * or functions, e.g. `@apply px-4` or `--theme(--color-brand)`.
+ *
+ * @param {string} openTag  The <style ...> start tag
+ * @param {string} css      The block's contents
+ * @returns {boolean}
+ */
+export function usesTailwind(openTag, css) {
+  const type = openTag.match(/\btype\s*=\s*["']?([^"'\s>]+)/i)?.[1];
+  if (type && type.toLowerCase() !== 'text/css') return false;
+  return tailwindSyntaxRegex.test(css);
+}
+
+/**
+ * Compile the contents of a <style> block with Tailwind, against a reference
+ * stylesheet whose theme, utilities and custom variants it can use without
+ * repeating their CSS.
+ *
+ * Every block gets its own compiler. Tailwind's PostCSS plugin keeps one per
+ * file, which would hand a page's second block the first one's CSS. Nothing
+ * is scanned for classes, as the block only uses what it names.
+ *
+ * @param {string} css               The block's contents
+ * @param {object} params
+ * @param {string} params.reference  Absolute path of the Tailwind source CSS, used as @reference
+ * @param {string} params.from       File the block came from, for relative imports
+ * @param {object} [params.aliases]  Import path prefixes mapped to folders, e.g. { '~': 'src' }
+ * @returns {Promise<string>}        The compiled CSS
+ */
+export async function compileStyleBlock(css, { reference, from, aliases }) {
+  const compiler = await createCompiler(`@reference ${JSON.stringify(reference)};\n${css}`, {
+    base: path.dirname(from),
+    onDependency: () => {},
+    customCssResolver: aliases && aliasResolver(aliases, 'css'),
+    customJsResolver: aliases && aliasResolver(aliases, 'js'),
+  });
+  // Tailwind adds its licence banner to every compiled file.
+  return compiler.build([]).replace(/^\/\*! tailwindcss [^*]*\*\/\n?/, '').trimEnd();
+}
+
+/**
+ * Replace the contents of every <style> block that uses Tailwind syntax.
+ * Blocks are compiled one after another, in document order.
+ *
+ * @param {string} html                               Rendered HTML
+ * @param {(css: string) => Promise<string>} compile  Compiles one block's contents
+ * @returns {Promise<string>}                         The updated HTML
+ */
+export async function processStyleBlocks(html, compile) {
+  let result = '';
+  let index = 0;
+  for (const match of html.matchAll(styleBlockRegex)) {
+    const [block, openTag, css, closeTag] = match;
+    if (!usesTailwind(openTag, css)) continue;
+
+    result += html.slice(index, match.index) + openTag + await compile(css) + closeTag;
+    index = match.index + block.length;
+  }
+  return result + html.slice(index);
+}
@@ -0,0 +1,72 @@
+// Escape a value for use inside a double-quoted HTML attribute.
+const escapeAttribute = (value) => String(value)
+  .replaceAll('&', '&amp;')
+  .replaceAll('"', '&quot;')
+  .replaceAll('<', '&lt;');
+
+/**
+ * Build the <link> tags for a stylesheet.
+ *
+ * With `preload` a <link rel="preload"> for the same file comes first, so the
+ * browser starts fetching it before it reaches the stylesheet link. It carries
+ * the same integrity and crossorigin values, otherwise the preloaded response
+ * can't be reused.
+ *
+ * @param {object}  stylesheet
+ * @param {string}  stylesheet.href                 URL of the stylesheet, including any path prefix
+ * @param {string}  [stylesheet.integrity]          Subresource Integrity value, e.g. "sha384-…"
+ * @param {object}  [options]
+ * @param {boolean} [options.integrity]             Add the integrity attribute, when known
+ * @param {boolean|string} [options.crossorigin]    true = "anonymous", or "use-credentials"
+ * @param {boolean} [options.preload]               Add a rel="preload" link in front
+ * @param {string}  [options.media]                 Media query for the stylesheet, e.g. "print"
+ * @returns {string}                                HTML
+ */
+export function stylesheetLink({ href, integrity }, options = {}) {
+  const shared = [`href="${escapeAttribute(href)}"`];
+  if (options.integrity && integrity) shared.push(`integrity="${escapeAttribute(integrity)}"`);
+  if (options.crossorigin) {
+    shared.push(`crossorigin="${escapeAttribute(options.crossorigin === true ? 'anonymous' : options.crossorigin)}"`);
+  }
+
+  const links = [];
+  if (options.preload) {
+    links.push(`<link rel="preload" as="style" ${shared.join(' ')}>`);
+  }
+  const media = options.media ? ` media="${escapeAttribute(options.media)}"` : '';
+  links.push(`<link rel="stylesheet" ${shared.join(' ')}${media}>`);
+
+  return links.join('\n');
+}
+
+// The href of a <link> tag, without any query string or fragment.
+const linkHref = (tag) => tag.match(/\bhref\s*=\s*["']?([^"'\s>]+)/i)?.[1].split(/[?#]/)[0];
+
+/**
+ * Whether the HTML links to any of the given stylesheet URLs.
+ *
+ * @param {string}   html  Rendered HTML
+ * @param {string[]} urls  Stylesheet URLs, e.g. ["/styles.css", "/docs/styles.css"]
+ * @returns {boolean}
+ */
+export function hasStylesheetLink(html, urls) {
+  return (html.match(/<link\b[^>]*>/gi) ?? []).some((tag) => urls.includes(linkHref(tag)));
+}
+
+/**
+ * Insert link tags at the end of the page's <head>, or at its start when the
+ * closing tag was left out.
+ *
+ * @param {string} html  Rendered HTML
+ * @param {string} link  HTML to insert, e.g. from stylesheetLink()
+ * @returns {string|null}  Updated HTML, or null when the page has no <head>
+ */
+export function injectStylesheetLink(html, link) {
+  const close = html.search(/<\/head\s*>/i);
+  if (close !== -1) return html.slice(0, close) + link + html.slice(close);
+
+  const open = html.match(/<head(\s[^>]*)?>/i);
+  if (open) return html.slice(0, open.index + open[0].length) + link + html.slice(open.index + open[0].length);
+
+  return null;
+}
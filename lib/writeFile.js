@@ -0,0 +1,39 @@
+import { randomBytes } from 'node:crypto';
+import { readFile, rename, rm, writeFile } from 'node:fs/promises';
+
+/**
+ * Write a file by writing a temp file next to it and renaming that into place.
+ * Anything watching or serving the file, like the Dev Server, never sees it half-written.
+ *
+ * The temp file ends in .tmp so it doesn't match globs for the real file, e.g. "styles.*.css".
+ *
+ * @param {string} file                The file to write
+ * @param {string|Buffer} content
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(file, content) {
+  const tempFile = `${file}.${randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await writeFile(tempFile, content);
+    await rename(tempFile, file);
+  } catch (err) {
+    await rm(tempFile, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Write a file atomically, unless it already holds exactly `content`.
+ * Leaving an unchanged file alone means watchers see no change, so the Dev Server doesn't reload.
+ *
+ * @param {string} file                The file to write
+ * @param {string|Buffer} content
+ * @returns {Promise<boolean>}         Whether the file was written
+ */
+export async function writeFileIfChanged(file, content) {
+  const existing = await readFile(file).catch(() => null);
+  if (existing && existing.equals(Buffer.from(content))) return false;
+
+  await writeFileAtomic(file, content);
+  return true;
+}
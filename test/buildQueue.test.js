@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { createBuildQueue } from '../lib/buildQueue.js';
+
+// A build that finishes when release() is called.
+function deferredBuild(result, log) {
+  let release;
+  const done = new Promise((resolve) => { release = resolve; });
+  const build = async () => {
+    log.push(`start ${result}`);
+    await done;
+    log.push(`end ${result}`);
+    return result;
+  };
+  return { build, release };
+}
+
+describe('createBuildQueue', () => {
+  it('runs a build straight away when idle', async () => {
+    const queueBuild = createBuildQueue();
+    expect(await queueBuild(async () => 'a')).toBe('a');
+  });
+
+  it('runs one build at a time', async () => {
+    const log = [];
+    const queueBuild = createBuildQueue();
+    const a = deferredBuild('a', log);
+    const b = deferredBuild('b', log);
+
+    const first = queueBuild(a.build);
+    const second = queueBuild(b.build);
+    await Promise.resolve();
+    expect(log).toEqual(['start a']);
+
+    a.release();
+    b.release();
+    expect(await first).toBe('a');
+    expect(await second).toBe('b');
+    expect(log).toEqual(['start a', 'end a', 'start b', 'end b']);
+  });
+
+  it('drops waiting builds that are superseded, giving their callers the latest result', async () => {
+    const log = [];
+    const queueBuild = createBuildQueue();
+    const a = deferredBuild('a', log);
+    const b = deferredBuild('b', log);
+    const c = deferredBuild('c', log);
+
+    const results = [queueBuild(a.build), queueBuild(b.build), queueBuild(c.build)];
+    a.release();
+    c.release();
+
+    expect(await Promise.all(results)).toEqual(['a', 'c', 'c']);
+    expect(log).not.toContain('start b');
+  });
+
+  it('rejects only the callers of a failed build and keeps going', async () => {
+    const queueBuild = createBuildQueue();
+
+    const failed = queueBuild(async () => { throw new Error('boom'); });
+    const next = queueBuild(async () => 'ok');
+
+    await expect(failed).rejects.toThrow('boom');
+    expect(await next).toBe('ok');
+    expect(await queueBuild(async () => 'again')).toBe('again');
+  });
+});
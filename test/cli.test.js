@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, readFile, readdir, rm, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { parseCliArgs, runCli, watch } from '../lib/cli.js';
+
+// Resolves once `check` returns true, or rejects after the timeout.
+async function waitFor(check, timeout = 3000) {
+  const start = Date.now();
+  while (!(await check())) {
+    if (Date.now() - start > timeout) throw new Error('Timed out');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+describe('parseCliArgs', () => {
+  it('reads the command, input and output', () => {
+    const { command, options } = parseCliArgs(['build', '--input', 'src/css/tailwind.css', '-o', 'dist/styles.css']);
+
+    expect(command).toBe('build');
+    expect(options).toMatchObject({
+      input: path.resolve('src/css/tailwind.css'),
+      output: path.resolve('dist/styles.css'),
+      minify: false,
+      sourceMap: false,
+    });
+  });
+
+  it('accepts --minify and --source-map as flags or with a value', () => {
+    const args = ['build', '-i', 'a.css', '-o', 'b.css'];
+
+    expect(parseCliArgs([...args, '--minify', '--source-map']).options).toMatchObject({ minify: true, sourceMap: true });
+    expect(parseCliArgs([...args, '--minify=lightningcss', '--source-map=inline']).options)
+      .toMatchObject({ minify: 'lightningcss', sourceMap: 'inline' });
+  });
+
+  it('collects repeated --alias options', () => {
+    const { options } = parseCliArgs(['build', '-i', 'a.css', '-o', 'b.css', '--alias', '~=src', '--alias', '@ui=packages/ui']);
+    expect(options.aliases).toEqual({ '~': 'src', '@ui': 'packages/ui' });
+  });
+
+  it('splits --alias on the first = only', () => {
+    const { options } = parseCliArgs(['build', '-i', 'a.css', '-o', 'b.css', '--alias', '~=src/a=b']);
+    expect(options.aliases).toEqual({ '~': 'src/a=b' });
+  });
+
+  it('returns the help command for --help', () => {
+    expect(parseCliArgs(['--help']).command).toBe('help');
+  });
+
+  it('throws for unknown commands, unknown options and missing paths', () => {
+    expect(() => parseCliArgs(['compile', '-i', 'a.css', '-o', 'b.css'])).toThrow('Unknown command: compile');
+    expect(() => parseCliArgs(['-i', 'a.css', '-o', 'b.css'])).toThrow('Missing command');
+    expect(() => parseCliArgs(['build', '-o', 'b.css'])).toThrow('Missing --input');
+    expect(() => parseCliArgs(['build', '-i', 'a.css'])).toThrow('Missing --output');
+    expect(() => parseCliArgs(['build', '-i', 'a.css', '-o', 'b.css', '--nope'])).toThrow();
+    expect(() => parseCliArgs(['build', '-i', 'a.css', '-o', 'b.css', '--alias', 'src'])).toThrow('Invalid --alias');
+  });
+
+  it('throws for unknown --minify and --source-map values', () => {
+    const args = ['build', '-i', 'a.css', '-o', 'b.css'];
+
+    expect(() => parseCliArgs([...args, '--minify=bogus'])).toThrow('Invalid --minify=bogus');
+    expect(() => parseCliArgs([...args, '--minify=false'])).toThrow('Invalid --minify=false');
+    expect(() => parseCliArgs([...args, '--source-map=anything'])).toThrow('Invalid --source-map=anything');
+    expect(parseCliArgs([...args, '--minify=advanced']).options.minify).toBe('advanced');
+  });
+
+  it('throws for values given after a space instead of =', () => {
+    const args = ['build', '-i', 'a.css', '-o', 'b.css'];
+
+    expect(() => parseCliArgs([...args, '--minify', 'lightningcss'])).toThrow('Unexpected argument: lightningcss, did you mean --minify=lightningcss?');
+    expect(() => parseCliArgs([...args, '--source-map', 'inline'])).toThrow('did you mean --source-map=inline?');
+    expect(() => parseCliArgs(['build', 'watch', ...args.slice(1)])).toThrow('Unexpected argument: watch');
+  });
+});
+
+describe('runCli', () => {
+  let consoleSpy;
+  let errorSpy;
+  let tmpDir;
+
+  beforeEach(async () => {
+    consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'etw-cli-'));
+  });
+
+  afterEach(async () => {
+    consoleSpy.mockRestore();
+    errorSpy.mockRestore();
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('builds the input to the output', async () => {
+    const input = path.join(tmpDir, 'main.css');
+    const output = path.join(tmpDir, 'dist', 'styles.css');
+    await writeFile(input, '.body {\n  color: red;\n}');
+
+    const code = await runCli(['build', '-i', input, '-o', output, '--minify', '--source-map']);
+
+    expect(code).toBe(0);
+    expect(await readFile(output, 'utf-8')).toBe('.body{color:red}\n/*# sourceMappingURL=styles.css.map */');
+    expect(existsSync(output + '.map')).toBe(true);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Wrote'));
+  });
+
+  it('exits with 1 when the input cannot be found', async () => {
+    const code = await runCli(['build', '-i', path.join(tmpDir, 'missing.css'), '-o', path.join(tmpDir, 'out.css')]);
+
+    expect(code).toBe(1);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('cannot be found'));
+  });
+
+  it('exits with 1 when the CSS fails to compile', async () => {
+    const input = path.join(tmpDir, 'main.css');
+    await writeFile(input, '.broken { color: red;');
+
+    const code = await runCli(['build', '-i', input, '-o', path.join(tmpDir, 'out.css')]);
+
+    expect(code).toBe(1);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Error processing TailwindCSS'));
+  });
+
+  it('prints usage and exits with 1 for bad arguments', async () => {
+    expect(await runCli(['build'])).toBe(1);
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Usage: eleventy-tailwind'));
+
+    const input = path.join(tmpDir, 'main.css');
+    await writeFile(input, '.body { color: red; }');
+    expect(await runCli(['build', '-i', input, '-o', path.join(tmpDir, 'out.css'), '--minify=bogus'])).toBe(1);
+    expect(errorSpy).toHaveBeenLastCalledWith(expect.stringContaining('Invalid --minify=bogus'));
+    expect(existsSync(path.join(tmpDir, 'out.css'))).toBe(false);
+  });
+
+  it('removes hashed files left by earlier builds', async () => {
+    const input = path.join(tmpDir, 'main.css');
+    const output = path.join(tmpDir, 'dist', 'styles.[hash].css');
+    await writeFile(input, '.body { color: red; }');
+
+    await runCli(['build', '-i', input, '-o', output, '--source-map']);
+    await writeFile(input, '.body { color: blue; }');
+    await runCli(['build', '-i', input, '-o', output, '--source-map']);
+
+    const files = await readdir(path.join(tmpDir, 'dist'));
+    expect(files).toHaveLength(2);
+    expect(await readFile(path.join(tmpDir, 'dist', files.find((name) => name.endsWith('.css'))), 'utf-8')).toContain('blue');
+  });
+});
+
+describe('watch', () => {
+  let consoleSpy;
+  let tmpDir;
+  let watcher;
+
+  beforeEach(async () => {
+    consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'etw-cli-'));
+  });
+
+  afterEach(async () => {
+    watcher?.close();
+    watcher = null;
+    consoleSpy.mockRestore();
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('rebuilds when an import changes, including imports added while watching', async () => {
+    const input = path.join(tmpDir, 'css', 'main.css');
+    const output = path.join(tmpDir, 'dist', 'styles.css');
+    await mkdir(path.dirname(input), { recursive: true });
+    await writeFile(input, '.body { color: red; }');
+    await writeFile(path.join(tmpDir, 'css', 'modal.css'), '.modal { color: blue; }');
+
+    watcher = await watch({ input, output, base: path.join(tmpDir, 'css') });
+    expect(await readFile(output, 'utf-8')).toContain('.body');
+
+    await writeFile(input, '@import "./modal.css";\n.body { color: red; }');
+    await waitFor(async () => (await readFile(output, 'utf-8')).includes('.modal'));
+
+    await writeFile(path.join(tmpDir, 'css', 'modal.css'), '.modal { color: green; }');
+    await waitFor(async () => (await readFile(output, 'utf-8')).includes('green'));
+  });
+});
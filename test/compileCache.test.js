@@ -0,0 +1,118 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, writeFile, rm, mkdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { cacheKey, readCache, writeCache } from '../lib/compileCache.js';
+
+/**
+ * Creates a temp directory with a cache folder and the given files under src/.
+ */
+async function createFixture(files) {
+  const tmpDir = await mkdtemp(path.join(tmpdir(), 'compile-cache-'));
+  const srcDir = path.join(tmpDir, 'src');
+  await mkdir(srcDir, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(path.join(srcDir, name), content);
+  }
+  return { tmpDir, srcDir, cacheDir: path.join(tmpDir, 'cache') };
+}
+
+// Store an entry built from every .html file in src/.
+async function store(fixture, extra = {}) {
+  const sources = [{ base: fixture.srcDir, pattern: '**/*.html' }];
+  await writeCache(fixture.cacheDir, 'key', {
+    files: [path.join(fixture.srcDir, 'main.css')],
+    sources,
+    css: '.p-4{padding:1rem}',
+    map: null,
+    dependencies: [path.join(fixture.srcDir, 'index.html')],
+    ...extra,
+  });
+}
+
+describe('compileCache', () => {
+  let tmpDir;
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  describe('cacheKey', () => {
+    it('is stable for the same options', () => {
+      expect(cacheKey({ input: '/a.css', minify: true })).toBe(cacheKey({ input: '/a.css', minify: true }));
+    });
+
+    it('changes with the options', () => {
+      expect(cacheKey({ input: '/a.css', minify: true })).not.toBe(cacheKey({ input: '/a.css', minify: false }));
+      expect(cacheKey({ input: '/a.css' })).not.toBe(cacheKey({ input: '/b.css' }));
+    });
+  });
+
+  describe('readCache / writeCache', () => {
+    it('returns the stored CSS while nothing changed', async () => {
+      const fixture = await createFixture({ 'main.css': '@import "tailwindcss";', 'index.html': '<p class="p-4">' });
+      tmpDir = fixture.tmpDir;
+
+      await store(fixture);
+
+      expect(await readCache(fixture.cacheDir, 'key')).toEqual({
+        css: '.p-4{padding:1rem}',
+        map: null,
+        dependencies: [path.join(fixture.srcDir, 'index.html')],
+      });
+    });
+
+    it('returns null when there is no entry', async () => {
+      const fixture = await createFixture({});
+      tmpDir = fixture.tmpDir;
+
+      expect(await readCache(fixture.cacheDir, 'key')).toBeNull();
+    });
+
+    it('misses when a recorded file changes', async () => {
+      const fixture = await createFixture({ 'main.css': '@import "tailwindcss";', 'index.html': '<p class="p-4">' });
+      tmpDir = fixture.tmpDir;
+      await store(fixture);
+
+      await writeFile(path.join(fixture.srcDir, 'index.html'), '<p class="p-8">');
+
+      expect(await readCache(fixture.cacheDir, 'key')).toBeNull();
+    });
+
+    it('misses when a recorded file is removed', async () => {
+      const fixture = await createFixture({ 'main.css': '@import "tailwindcss";', 'index.html': '<p class="p-4">' });
+      tmpDir = fixture.tmpDir;
+      await store(fixture);
+
+      await rm(path.join(fixture.srcDir, 'index.html'));
+
+      expect(await readCache(fixture.cacheDir, 'key')).toBeNull();
+    });
+
+    it('misses when a new file matches a scanned glob', async () => {
+      const fixture = await createFixture({ 'main.css': '@import "tailwindcss";', 'index.html': '<p class="p-4">' });
+      tmpDir = fixture.tmpDir;
+      await store(fixture);
+
+      await writeFile(path.join(fixture.srcDir, 'about.html'), '<p class="m-2">');
+
+      expect(await readCache(fixture.cacheDir, 'key')).toBeNull();
+    });
+
+    it('ignores excluded files, such as the output', async () => {
+      const fixture = await createFixture({ 'main.css': '@import "tailwindcss";', 'index.html': '<p class="p-4">' });
+      tmpDir = fixture.tmpDir;
+      const output = path.join(fixture.srcDir, 'output.html');
+      const exclude = (file) => file === output;
+      await store(fixture, { exclude });
+
+      await writeFile(output, '<p class="m-2">');
+
+      expect(await readCache(fixture.cacheDir, 'key', { exclude })).not.toBeNull();
+      expect(await readCache(fixture.cacheDir, 'key')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mkdtemp, writeFile, readFile, readdir, rm, mkdir, stat } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { compileTailwind } from '../lib/compileTailwind.js';
+
+/**
+ * Creates a temp directory with the given files.
+ * Returns the directory and the path of its main.css.
+ */
+async function createFixture(files) {
+  const tmpDir = await mkdtemp(path.join(tmpdir(), 'compile-tailwind-'));
+  for (const [relPath, content] of Object.entries(files)) {
+    const fullPath = path.join(tmpDir, relPath);
+    await mkdir(path.dirname(fullPath), { recursive: true });
+    await writeFile(fullPath, content);
+  }
+  return { tmpDir, input: path.join(tmpDir, 'main.css') };
+}
+
+// A PostCSS plugin that appends a rule, to show where it ran.
+function markerPlugin(name) {
+  return {
+    postcssPlugin: `marker-${name}`,
+    Once(root, { Rule, Declaration }) {
+      root.append(new Rule({ selector: `.${name}` }).append(new Declaration({ prop: 'color', value: 'red' })));
+    },
+  };
+}
+
+describe('compileTailwind', () => {
+  let tmpDir;
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  it('returns the CSS, dependencies and timings without writing anything', async () => {
+    const fixture = await createFixture({
+      'main.css': '@import "./button.css";\n.body { color: red; }',
+      'button.css': '.btn { color: blue; }',
+    });
+    tmpDir = fixture.tmpDir;
+
+    const result = await compileTailwind({ input: fixture.input });
+
+    expect(result.css).toContain('.btn');
+    expect(result.css).toContain('.body');
+    expect(result.map).toBeNull();
+    expect(result.file).toBeNull();
+    expect(result.hash).toMatch(/^[0-9a-f]{8}$/);
+    expect(result.dependencies).toContain(path.join(tmpDir, 'button.css'));
+    for (const timing of ['compile', 'minify', 'write', 'total']) {
+      expect(result.timings[timing]).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  it('writes to output, filling in [hash], with an external sourcemap', async () => {
+    const fixture = await createFixture({ 'main.css': '.body { color: red; }' });
+    tmpDir = fixture.tmpDir;
+
+    const result = await compileTailwind({
+      input: fixture.input,
+      output: path.join(tmpDir, 'dist', 'styles.[hash].css'),
+      sourceMap: true,
+    });
+
+    expect(result.file).toBe(path.join(tmpDir, 'dist', `styles.${result.hash}.css`));
+    expect(await readFile(result.file, 'utf-8')).toBe(result.css);
+    expect(result.css).toContain(`sourceMappingURL=styles.${result.hash}.css.map`);
+    const map = JSON.parse(await readFile(result.file + '.map', 'utf-8'));
+    expect(map.file).toBe(`styles.${result.hash}.css`);
+  });
+
+  it('embeds an inline sourcemap', async () => {
+    const fixture = await createFixture({ 'main.css': '.body { color: red; }' });
+    tmpDir = fixture.tmpDir;
+
+    const result = await compileTailwind({ input: fixture.input, sourceMap: 'inline' });
+
+    expect(result.css).toContain('sourceMappingURL=data:application/json;base64,');
+    expect(result.map).not.toBeNull();
+  });
+
+  it('does not write when write is false', async () => {
+    const fixture = await createFixture({ 'main.css': '.body { color: red; }' });
+    tmpDir = fixture.tmpDir;
+
+    const result = await compileTailwind({ input: fixture.input, output: path.join(tmpDir, 'styles.css'), write: false });
+
+    expect(result.file).toBe(path.join(tmpDir, 'styles.css'));
+    expect(existsSync(result.file)).toBe(false);
+  });
+
+  it('leaves the CSS and sourcemap alone when the output is unchanged', async () => {
+    const fixture = await createFixture({ 'main.css': '.body { color: red; }' });
+    tmpDir = fixture.tmpDir;
+    const options = { input: fixture.input, output: path.join(tmpDir, 'styles.css'), sourceMap: true };
+
+    const first = await compileTailwind(options);
+    expect(first.written).toBe(true);
+    const cssTime = (await stat(first.file)).mtimeMs;
+    const mapTime = (await stat(first.file + '.map')).mtimeMs;
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const second = await compileTailwind(options);
+    expect(second.written).toBe(false);
+    expect((await stat(second.file)).mtimeMs).toBe(cssTime);
+    expect((await stat(second.file + '.map')).mtimeMs).toBe(mapTime);
+
+    await writeFile(fixture.input, '.body { color: blue; }');
+    const third = await compileTailwind(options);
+    expect(third.written).toBe(true);
+    expect(await readFile(third.file, 'utf-8')).toContain('blue');
+    expect((await readdir(tmpDir)).filter((name) => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('reuses cached CSS until an input changes', async () => {
+    const fixture = await createFixture({ 'main.css': '.body { color: red; }' });
+    tmpDir = fixture.tmpDir;
+    const options = { input: fixture.input, base: tmpDir, cache: path.join(tmpDir, 'cache') };
+
+    const first = await compileTailwind(options);
+    expect(first.cached).toBe(false);
+
+    const second = await compileTailwind(options);
+    expect(second.cached).toBe(true);
+    expect(second.css).toBe(first.css);
+    expect(second.dependencies).toEqual(first.dependencies);
+
+    const minified = await compileTailwind({ ...options, minify: true });
+    expect(minified.cached).toBe(false);
+
+    await writeFile(fixture.input, '.body { color: blue; }');
+    const third = await compileTailwind(options);
+    expect(third.cached).toBe(false);
+    expect(third.css).toContain('blue');
+  });
+
+  it('misses the cache when a new folder adds classes', async () => {
+    const fixture = await createFixture({ 'main.css': '@tailwind utilities;', 'index.html': '<p class="flex"></p>' });
+    tmpDir = fixture.tmpDir;
+    const options = { input: fixture.input, base: tmpDir, cache: path.join(tmpDir, 'cache') };
+
+    expect((await compileTailwind(options)).cached).toBe(false);
+    expect((await compileTailwind(options)).cached).toBe(true);
+
+    await mkdir(path.join(tmpDir, 'pages'));
+    await writeFile(path.join(tmpDir, 'pages', 'a.html'), '<p class="hidden"></p>');
+    const result = await compileTailwind(options);
+    expect(result.cached).toBe(false);
+    expect(result.css).toContain('.hidden');
+  });
+
+  it('keeps separate cached CSS for NODE_ENV=production', async () => {
+    const fixture = await createFixture({ 'main.css': '.body { color: red; }' });
+    tmpDir = fixture.tmpDir;
+    const options = { input: fixture.input, base: tmpDir, cache: path.join(tmpDir, 'cache') };
+
+    vi.stubEnv('NODE_ENV', 'development');
+    expect((await compileTailwind(options)).cached).toBe(false);
+
+    // Tailwind only optimizes in production, so the development CSS must not be reused.
+    vi.stubEnv('NODE_ENV', 'production');
+    expect((await compileTailwind(options)).cached).toBe(false);
+    expect((await compileTailwind(options)).cached).toBe(true);
+  });
+
+  it('minifies with cssnano', async () => {
+    const fixture = await createFixture({ 'main.css': '.body {\n  color: red;\n}' });
+    tmpDir = fixture.tmpDir;
+
+    const result = await compileTailwind({ input: fixture.input, minify: true });
+
+    expect(result.css).toBe('.body{color:red}');
+  });
+
+  it('runs an array of plugins before Tailwind', async () => {
+    const fixture = await createFixture({ 'main.css': '.body { color: red; }' });
+    tmpDir = fixture.tmpDir;
+
+    const result = await compileTailwind({ input: fixture.input, plugins: [markerPlugin('first')] });
+
+    expect(result.css).toContain('.first');
+  });
+
+  it('runs { before, after } plugins around Tailwind, before minification', async () => {
+    const fixture = await createFixture({ 'main.css': '.body { color: red; }' });
+    tmpDir = fixture.tmpDir;
+
+    const result = await compileTailwind({
+      input: fixture.input,
+      minify: true,
+      plugins: { before: [markerPlugin('before')], after: [markerPlugin('after')] },
+    });
+
+    expect(result.css).toBe('.after,.before,.body{color:red}');
+  });
+
+  it('rejects with the PostCSS error for invalid CSS', async () => {
+    const fixture = await createFixture({ 'main.css': '.broken { color: red;' });
+    tmpDir = fixture.tmpDir;
+
+    await expect(compileTailwind({ input: fixture.input })).rejects.toThrow('Unclosed block');
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { extractClasses, selectorClasses, extractCriticalCSS, inlineCriticalCSS, parseCSS } from '../lib/criticalCSS.js';
+
+describe('criticalCSS', () => {
+
+  // =========================================================================
+  // extractClasses
+  // =========================================================================
+  describe('extractClasses', () => {
+    it('collects classes from double and single quoted attributes', () => {
+      const classes = extractClasses(`<div class="a b"><span class='c'></span></div>`);
+      expect([...classes].sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('handles extra whitespace and newlines in class lists', () => {
+      const classes = extractClasses(`<div class="\n  px-4\n  hover:bg-red-500  "></div>`);
+      expect([...classes].sort()).toEqual(['hover:bg-red-500', 'px-4']);
+    });
+
+    it('returns an empty set for HTML without classes', () => {
+      expect(extractClasses('<p>Hello</p>').size).toBe(0);
+    });
+  });
+
+  // =========================================================================
+  // selectorClasses
+  // =========================================================================
+  describe('selectorClasses', () => {
+    it('returns no classes for element selectors', () => {
+      expect(selectorClasses('html, :host')).toEqual([]);
+    });
+
+    it('unescapes Tailwind variant and fraction classes', () => {
+      expect(selectorClasses('.hover\\:bg-red-500:hover')).toEqual(['hover:bg-red-500']);
+      expect(selectorClasses('.w-1\\/2')).toEqual(['w-1/2']);
+    });
+
+    it('unescapes hex escapes', () => {
+      expect(selectorClasses('.\\32 xl\\:p-4')).toEqual(['2xl:p-4']);
+    });
+
+    it('collects every class in a compound selector', () => {
+      expect(selectorClasses('.card > .card-title')).toEqual(['card', 'card-title']);
+    });
+
+    it('ignores classes inside :not()', () => {
+      expect(selectorClasses('.btn:not(.disabled)')).toEqual(['btn']);
+    });
+  });
+
+  // =========================================================================
+  // extractCriticalCSS
+  // =========================================================================
+  describe('extractCriticalCSS', () => {
+    const css = `
+/* comment */
+:root { --color: red; }
+body { margin: 0; }
+.used { color: red; }
+.unused { color: blue; }
+.used, .other { padding: 0; }
+@media (min-width: 40rem) {
+  .unused { color: green; }
+}
+@media (min-width: 64rem) {
+  .used { color: purple; }
+}
+@keyframes spin { from { transform: rotate(0) } to { transform: rotate(360deg) } }
+`;
+
+    it('keeps element selectors and rules for used classes', () => {
+      const result = extractCriticalCSS(parseCSS(css), new Set(['used']));
+      expect(result).toContain(':root');
+      expect(result).toContain('body');
+      expect(result).toContain('.used { color: red; }');
+      expect(result).toContain('purple');
+    });
+
+    it('drops rules for unused classes and trims selector lists', () => {
+      const result = extractCriticalCSS(parseCSS(css), new Set(['used']));
+      expect(result).not.toContain('.unused');
+      expect(result).not.toContain('.other');
+      expect(result).toContain('.used { padding: 0; }');
+    });
+
+    it('removes at-rules left empty and comments', () => {
+      const result = extractCriticalCSS(parseCSS(css), new Set(['used']));
+      expect(result).not.toContain('40rem');
+      expect(result).not.toContain('comment');
+    });
+
+    it('keeps keyframes intact', () => {
+      const result = extractCriticalCSS(parseCSS(css), new Set());
+      expect(result).toContain('@keyframes spin');
+      expect(result).toContain('from');
+    });
+
+    it('does not modify the parsed root', () => {
+      const root = parseCSS(css);
+      extractCriticalCSS(root, new Set());
+      expect(root.toString()).toContain('.unused');
+    });
+  });
+
+  // =========================================================================
+  // inlineCriticalCSS
+  // =========================================================================
+  describe('inlineCriticalCSS', () => {
+    const html = '<html><head><link rel="stylesheet" href="/styles.css"></head><body></body></html>';
+
+    it('inlines the CSS and loads the stylesheet asynchronously', () => {
+      const result = inlineCriticalCSS(html, '/styles.css', '.a{color:red}');
+      expect(result).toContain('<style>.a{color:red}</style>');
+      expect(result).toContain('<link rel="preload" href="/styles.css" as="style"');
+      expect(result).toContain('<noscript><link rel="stylesheet" href="/styles.css"></noscript>');
+    });
+
+    it('matches links with a query string', () => {
+      const result = inlineCriticalCSS(html.replace('/styles.css', '/styles.css?v=1'), '/styles.css', '');
+      expect(result).toContain('href="/styles.css?v=1" as="style"');
+    });
+
+    it('keeps the media, integrity and crossorigin of the original link', () => {
+      const link = '<link rel="stylesheet" href="/styles.css" integrity="sha384-abc" crossorigin="anonymous" media="print">';
+      const result = inlineCriticalCSS(`<head>${link}</head>`, '/styles.css', '');
+
+      expect(result).toBe(`<head><style></style><link rel="preload" href="/styles.css" as="style" onload="this.onload=null;this.rel='stylesheet'" `
+        + `integrity="sha384-abc" crossorigin="anonymous" media="print"><noscript>${link}</noscript></head>`);
+    });
+
+    it('matches any of several URLs, e.g. with a path prefix', () => {
+      const prefixed = html.replace('/styles.css', '/docs/styles.css');
+      expect(inlineCriticalCSS(prefixed, '/styles.css', '')).toBeNull();
+      expect(inlineCriticalCSS(prefixed, ['/styles.css', '/docs/styles.css'], '.a{color:red}'))
+        .toContain('<style>.a{color:red}</style><link rel="preload" href="/docs/styles.css" as="style"');
+    });
+
+    it('returns null when the page does not link to the stylesheet', () => {
+      expect(inlineCriticalCSS(html, '/other.css', '')).toBeNull();
+    });
+
+    it('ignores links that are not stylesheets', () => {
+      const preload = '<head><link rel="preload" href="/styles.css" as="style"></head>';
+      expect(inlineCriticalCSS(preload, '/styles.css', '')).toBeNull();
+    });
+  });
+});
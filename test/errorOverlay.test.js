@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import postcss from 'postcss';
+import { describeError, errorOverlayCSS } from '../lib/errorOverlay.js';
+
+/**
+ * Returns the CssSyntaxError PostCSS throws for invalid CSS.
+ */
+function syntaxError(css = '.a { color: red;', from = '/project/src/css/tailwind.css') {
+  try {
+    postcss.parse(css, { from });
+  } catch (err) {
+    return err;
+  }
+  throw new Error('expected a CssSyntaxError');
+}
+
+describe('errorOverlay', () => {
+
+  // =========================================================================
+  // describeError
+  // =========================================================================
+  describe('describeError', () => {
+    it('extracts message, location and code frame from a CssSyntaxError', () => {
+      const { message, location, codeFrame } = describeError(syntaxError());
+
+      expect(message).toBe('Unclosed block');
+      expect(location).toBe('/project/src/css/tailwind.css:1:1');
+      expect(codeFrame).toContain('> 1 | .a { color: red;');
+    });
+
+    it('only has a message for plain errors', () => {
+      expect(describeError(new Error("Can't resolve './nope.css'"))).toEqual({
+        message: "Can't resolve './nope.css'",
+        location: null,
+        codeFrame: null,
+      });
+    });
+  });
+
+  // =========================================================================
+  // errorOverlayCSS
+  // =========================================================================
+  describe('errorOverlayCSS', () => {
+    it('renders the error in an html::after overlay', () => {
+      const css = errorOverlayCSS(new Error('Boom'));
+
+      expect(css).toContain('html::after');
+      expect(css).toContain('Boom');
+      expect(css).toContain('position: fixed');
+    });
+
+    it('produces valid CSS for messages with quotes, backslashes and newlines', () => {
+      const css = errorOverlayCSS(new Error('Bad "quote" \\\\ here\nand a second line'));
+      const root = postcss.parse(css);
+
+      let content;
+      root.walkDecls('content', (decl) => { content = decl.value; });
+      expect(content).toContain('\\"quote\\"');
+      expect(content).toContain('\\A ');
+    });
+
+    it('includes the location and code frame of a CssSyntaxError', () => {
+      const css = errorOverlayCSS(syntaxError());
+
+      expect(css).toContain('/project/src/css/tailwind.css:1:1');
+      expect(css).toContain('Unclosed block');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, writeFile, rename, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createFileWatcher } from '../lib/fileWatcher.js';
+
+// Resolves with the changed file, or null if nothing changed within the timeout.
+function nextChange(fileWatcher, file, timeout = 2000) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), timeout);
+    fileWatcher.add(file, (changed) => {
+      clearTimeout(timer);
+      resolve(changed);
+    });
+  });
+}
+
+describe('createFileWatcher', () => {
+  let tmpDir;
+  let fileWatcher;
+
+  afterEach(async () => {
+    fileWatcher?.close();
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  it('calls back when a watched file changes', async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'etw-watch-'));
+    const file = path.join(tmpDir, 'modal.css');
+    await writeFile(file, '.modal {}');
+
+    fileWatcher = createFileWatcher();
+    const changed = nextChange(fileWatcher, file);
+    await writeFile(file, '.modal { color: red; }');
+
+    expect(await changed).toBe(file);
+  });
+
+  it('keeps watching a file that is replaced by a rename', async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'etw-watch-'));
+    const file = path.join(tmpDir, 'modal.css');
+    await writeFile(file, '.modal {}');
+
+    fileWatcher = createFileWatcher();
+    const changed = nextChange(fileWatcher, file);
+    await writeFile(file + '.tmp', '.modal { color: red; }');
+    await rename(file + '.tmp', file);
+
+    expect(await changed).toBe(file);
+  });
+
+  it('ignores other files in the same folder', async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'etw-watch-'));
+    const file = path.join(tmpDir, 'modal.css');
+    await writeFile(file, '.modal {}');
+
+    fileWatcher = createFileWatcher();
+    const changed = nextChange(fileWatcher, file, 300);
+    await writeFile(path.join(tmpDir, 'other.css'), '.other {}');
+
+    expect(await changed).toBeNull();
+  });
+
+  it('stops calling back once closed', async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'etw-watch-'));
+    const file = path.join(tmpDir, 'modal.css');
+    await writeFile(file, '.modal {}');
+
+    fileWatcher = createFileWatcher();
+    const changed = nextChange(fileWatcher, file, 300);
+    fileWatcher.close();
+    await writeFile(file, '.modal { color: red; }');
+
+    expect(await changed).toBeNull();
+  });
+
+  it('returns false when the folder cannot be watched', () => {
+    fileWatcher = createFileWatcher();
+    expect(fileWatcher.add(path.join(tmpdir(), 'etw-missing-folder', 'modal.css'), () => {})).toBe(false);
+  });
+});
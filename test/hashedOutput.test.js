@@ -0,0 +1,147 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, writeFile, rm, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { hashContent, integrityHash, isHashed, interpolateOutput, outputMatcher, removeStaleOutputs } from '../lib/hashedOutput.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a temp directory containing the given (empty) files.
+ */
+async function createFixture(names) {
+  const tmpDir = await mkdtemp(path.join(tmpdir(), 'hashed-output-'));
+  for (const name of names) {
+    await writeFile(path.join(tmpDir, name), '');
+  }
+  return tmpDir;
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('hashedOutput', () => {
+  let tmpDir;
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  // =========================================================================
+  // hashContent
+  // =========================================================================
+  describe('hashContent', () => {
+    it('returns an 8 character hex string', () => {
+      expect(hashContent('.a { color: red; }')).toMatch(/^[0-9a-f]{8}$/);
+    });
+
+    it('is stable for the same content', () => {
+      expect(hashContent('.a {}')).toBe(hashContent('.a {}'));
+    });
+
+    it('changes when the content changes', () => {
+      expect(hashContent('.a {}')).not.toBe(hashContent('.b {}'));
+    });
+  });
+
+  // =========================================================================
+  // isHashed / interpolateOutput
+  // =========================================================================
+  describe('integrityHash', () => {
+    it('returns a sha384 Subresource Integrity value', () => {
+      expect(integrityHash('.a{color:red}')).toMatch(/^sha384-[A-Za-z0-9+/]{64}$/);
+    });
+
+    it('changes with the content', () => {
+      expect(integrityHash('.a{}')).not.toBe(integrityHash('.b{}'));
+    });
+  });
+
+  describe('isHashed', () => {
+    it('detects a [hash] placeholder', () => {
+      expect(isHashed('css/[name].[hash].css')).toBe(true);
+      expect(isHashed('css/styles.css')).toBe(false);
+    });
+  });
+
+  describe('interpolateOutput', () => {
+    it('replaces [name] and [hash]', () => {
+      expect(interpolateOutput('css/[name].[hash].css', { name: 'site', hash: 'abc12345' }))
+        .toBe('css/site.abc12345.css');
+    });
+
+    it('leaves placeholders without a value untouched', () => {
+      expect(interpolateOutput('css/[name].[hash].css', { name: 'site' }))
+        .toBe('css/site.[hash].css');
+    });
+
+    it('returns plain paths unchanged', () => {
+      expect(interpolateOutput('styles.css', { name: 'site', hash: 'abc12345' })).toBe('styles.css');
+    });
+  });
+
+  describe('outputMatcher', () => {
+    it('matches the files a hashed pattern produces, and their maps', () => {
+      const matcher = outputMatcher('_site/css/site.[hash].css');
+      expect(matcher.test('site.1a2b3c4d.css')).toBe(true);
+      expect(matcher.test('site.1a2b3c4d.css.map')).toBe(true);
+      expect(matcher.test('site.css')).toBe(false);
+      expect(matcher.test('other.1a2b3c4d.css')).toBe(false);
+    });
+
+    it('matches a plain filename exactly', () => {
+      const matcher = outputMatcher('_site/styles.css');
+      expect(matcher.test('styles.css')).toBe(true);
+      expect(matcher.test('stylesXcss')).toBe(false);
+    });
+  });
+
+  // =========================================================================
+  // removeStaleOutputs
+  // =========================================================================
+  describe('removeStaleOutputs', () => {
+    it('removes older hashed files and their maps, keeping the current one', async () => {
+      tmpDir = await createFixture([
+        'site.11111111.css',
+        'site.11111111.css.map',
+        'site.22222222.css',
+        'site.22222222.css.map',
+      ]);
+
+      const removed = await removeStaleOutputs(
+        path.join(tmpDir, 'site.[hash].css'),
+        path.join(tmpDir, 'site.22222222.css')
+      );
+
+      expect(removed).toHaveLength(2);
+      expect((await readdir(tmpDir)).sort()).toEqual(['site.22222222.css', 'site.22222222.css.map']);
+    });
+
+    it('does not touch files that do not match the pattern', async () => {
+      tmpDir = await createFixture([
+        'site.11111111.css',
+        'docs.11111111.css',
+        'site.css',
+        'site.not-hash.css',
+      ]);
+
+      await removeStaleOutputs(
+        path.join(tmpDir, 'site.[hash].css'),
+        path.join(tmpDir, 'site.22222222.css')
+      );
+
+      expect((await readdir(tmpDir)).sort()).toEqual(['docs.11111111.css', 'site.css', 'site.not-hash.css']);
+    });
+
+    it('returns an empty array when the folder does not exist', async () => {
+      const removed = await removeStaleOutputs('/does/not/exist/[hash].css', '/does/not/exist/a.css');
+      expect(removed).toEqual([]);
+    });
+  });
+});
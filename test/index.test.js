@@ -1,9 +1,10 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { mkdtemp, writeFile, readFile, rm, mkdir, symlink } from 'node:fs/promises';
+import { mkdtemp, writeFile, readFile, rm, mkdir, symlink, realpath, utimes, stat, readdir } from 'node:fs/promises';
 import { existsSync } from 'node:fs';
+import { createHash } from 'node:crypto';
 import { tmpdir } from 'node:os';
 import path from 'node:path';
-import tailwindcss from '../index.js';
+import tailwindcss, { buildImportGraph, formatImportGraph, compileTailwind } from '../index.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -29,6 +30,10 @@ function createMockConfig(dirs = {}) {
       output: dirs.output ?? '_site',
     },
     addWatchTarget: vi.fn(),
+    addShortcode: vi.fn(),
+    addFilter: vi.fn(),
+    addTransform: vi.fn(),
+    addGlobalData: vi.fn(),
     on: vi.fn((event, handler) => {
       handlers[event] = handler;
     }),
@@ -84,6 +89,15 @@ describe('eleventy-plugin-tailwindcss-4', () => {
     it('plugin function accepts two arguments (eleventyConfig, options)', () => {
       expect(tailwindcss.length).toBe(2);
     });
+
+    it('exports compileTailwind', () => {
+      expect(typeof compileTailwind).toBe('function');
+    });
+
+    it('exports buildImportGraph and formatImportGraph', () => {
+      expect(typeof buildImportGraph).toBe('function');
+      expect(typeof formatImportGraph).toBe('function');
+    });
   });
 
   // =========================================================================
@@ -361,6 +375,55 @@ describe('eleventy-plugin-tailwindcss-4', () => {
       );
     });
 
+    it('calls addWatchTarget for @source folders and globs, minus exclusions', async () => {
+      const fixture = await createTempFixture([
+        '@import "tailwindcss";',
+        '@source "../../components/**/*.njk";',
+        '@source "../../content";',
+        '@source "../../content/legacy/**/*.html";',
+        '@source not "../../content/legacy";',
+      ].join('\n'));
+      tmpDir = fixture.tmpDir;
+      await mkdir(path.join(fixture.tmpDir, 'components'), { recursive: true });
+      await mkdir(path.join(fixture.tmpDir, 'content', 'legacy'), { recursive: true });
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+
+      const realTmp = await realpath(fixture.tmpDir);
+      const targets = config.addWatchTarget.mock.calls.map(call => call[0]);
+      expect(targets).toContain(path.relative(process.cwd(), path.join(realTmp, 'components')) + '/**/*.njk');
+      expect(targets).toContain(path.relative(process.cwd(), path.join(realTmp, 'content')));
+      expect(targets.some(target => target.includes('legacy'))).toBe(false);
+    });
+
+    it('warns about imported files that cannot be found without debug', async () => {
+      const fixture = await createTempFixture('@import "./missing.css";');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringMatching(/Warning:.*missing\.css.*cannot be found/));
+    });
+
+    it('prints the import graph as a tree in debug mode', async () => {
+      const fixture = await createTempFixture('@import "./components/button.css";');
+      tmpDir = fixture.tmpDir;
+
+      const componentsDir = path.join(path.dirname(fixture.cssFile), 'components');
+      await mkdir(componentsDir, { recursive: true });
+      await writeFile(path.join(componentsDir, 'button.css'), '.btn {}');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', debug: true });
+
+      const graphCall = consoleSpy.mock.calls.find(
+        call => typeof call[0] === 'string' && call[0].includes('Import graph:')
+      );
+      expect(graphCall[0]).toContain('└─ ' + path.relative(process.cwd(), path.join(componentsDir, 'button.css')));
+    });
+
     it('logs imported file count in debug mode', async () => {
       const fixture = await createTempFixture(
         '@import "./components/button.css";'
@@ -387,6 +450,91 @@ describe('eleventy-plugin-tailwindcss-4', () => {
     });
   });
 
+  // =========================================================================
+  // Rediscovering imports on rebuild
+  // =========================================================================
+  describe('rediscovering imports on rebuild', () => {
+    let consoleSpy;
+    let tmpDir;
+    let config;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      // Close the plugin's own file watchers.
+      config?._handlers['eleventy.reset']?.();
+      config = null;
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true, force: true });
+        tmpDir = null;
+      }
+    });
+
+    it('watches files imported after the first build and touches the entry when they change', async () => {
+      const fixture = await createTempFixture('.body { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', debug: true });
+      const handler = getBeforeHandler(config);
+      await handler({ runMode: 'watch' });
+
+      // Add an import while "watching"
+      const modalFile = path.join(path.dirname(fixture.cssFile), 'modal.css');
+      await writeFile(modalFile, '.modal { color: blue; }');
+      await writeFile(fixture.cssFile, '@import "./modal.css";\n.body { color: red; }');
+      await handler({ runMode: 'watch' });
+
+      const relativeModal = path.relative(process.cwd(), modalFile);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining(`Watching newly imported file:`));
+      // Eleventy no longer reads watch targets, so the plugin watches the file itself.
+      expect(config.addWatchTarget).not.toHaveBeenCalledWith(relativeModal);
+
+      const past = new Date(Date.now() - 60_000);
+      await utimes(fixture.cssFile, past, past);
+      await writeFile(modalFile, '.modal { color: green; }');
+
+      let touched = false;
+      for (let i = 0; i < 40 && !touched; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        touched = (await stat(fixture.cssFile)).mtimeMs > past.getTime() + 1000;
+      }
+      expect(touched).toBe(true);
+    });
+
+    it('does not look for new imports during a one-off build', async () => {
+      const fixture = await createTempFixture('.body { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', debug: true });
+      const handler = getBeforeHandler(config);
+      await handler({ runMode: 'build' });
+
+      await writeFile(path.join(path.dirname(fixture.cssFile), 'modal.css'), '.modal {}');
+      await writeFile(fixture.cssFile, '@import "./modal.css";');
+      await handler({ runMode: 'build' });
+
+      expect(consoleSpy).not.toHaveBeenCalledWith(expect.stringContaining(`Watching newly imported file:`));
+    });
+
+    it('reports imports that went missing since startup in strict mode', async () => {
+      const fixture = await createTempFixture('.body { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', strict: true });
+      const handler = getBeforeHandler(config);
+      await handler({ runMode: 'watch' });
+
+      await writeFile(fixture.cssFile, '@import "./missing.css";');
+      await expect(handler({ runMode: 'watch' })).rejects.toThrow('missing.css');
+    });
+  });
+
   // =========================================================================
   // Event registration
   // =========================================================================
@@ -736,6 +884,1669 @@ describe('eleventy-plugin-tailwindcss-4', () => {
 
   });
 
+  // =========================================================================
+  // Overlapping builds
+  // =========================================================================
+  describe('overlapping builds', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    it('compiles one at a time, skips superseded builds and keeps the latest CSS', async () => {
+      const fixture = await createTempFixture('.first { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+      const handler = getBeforeHandler(config);
+
+      const builds = [handler()];
+      await writeFile(fixture.cssFile, '.second { color: red; }');
+      builds.push(handler());
+      await writeFile(fixture.cssFile, '.third { color: red; }');
+      builds.push(handler());
+      await Promise.all(builds);
+
+      const wrote = consoleSpy.mock.calls.filter(call => typeof call[0] === 'string' && call[0].includes('Wrote'));
+      expect(wrote).toHaveLength(2);
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toContain('.third');
+    });
+  });
+
+  // =========================================================================
+  // Unchanged output
+  // =========================================================================
+  describe('unchanged output', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    it('leaves the CSS file alone and logs Unchanged when a rebuild produces the same CSS', async () => {
+      const fixture = await createTempFixture('.body { color: red; }');
+      tmpDir = fixture.tmpDir;
+      const outputFile = path.join(fixture.outputDir, 'styles.css');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+      const handler = getBeforeHandler(config);
+
+      await handler();
+      const { mtimeMs } = await stat(outputFile);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await handler();
+
+      expect((await stat(outputFile)).mtimeMs).toBe(mtimeMs);
+      const messages = consoleSpy.mock.calls.map(call => call[0]);
+      expect(messages.filter(message => message.includes('Wrote'))).toHaveLength(1);
+      expect(messages.filter(message => message.includes('Unchanged'))).toHaveLength(1);
+      expect((await readdir(fixture.outputDir)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+  });
+
+  // =========================================================================
+  // Compile cache (cache)
+  // =========================================================================
+  describe('compile cache (cache)', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    it('reuses the cached CSS in a fresh run when nothing changed', async () => {
+      const fixture = await createTempFixture('.body { color: red; }');
+      tmpDir = fixture.tmpDir;
+      const cache = path.join(tmpDir, '.cache');
+
+      const run = async () => {
+        const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+        tailwindcss(config, { input: 'css/tailwind.css', cache });
+        await getBeforeHandler(config)();
+      };
+
+      await run();
+      await rm(fixture.outputDir, { recursive: true });
+      await run();
+
+      const messages = consoleSpy.mock.calls.map(call => call[0]);
+      expect(messages.filter(message => message.includes('from cache'))).toHaveLength(1);
+      expect(await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8')).toContain('.body');
+      expect(await readdir(cache)).toHaveLength(1);
+    });
+
+    it('does not cache by default', async () => {
+      const fixture = await createTempFixture('.body { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+      await getBeforeHandler(config)();
+      await getBeforeHandler(config)();
+
+      const messages = consoleSpy.mock.calls.map(call => call[0]);
+      expect(messages.some(message => message.includes('from cache'))).toBe(false);
+    });
+  });
+
+  // =========================================================================
+  // Multiple entries
+  // =========================================================================
+  describe('multiple entries', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    /**
+     * Adds a second source file next to the fixture's tailwind.css.
+     */
+    async function addSourceFile(fixture, name, content) {
+      const file = path.join(path.dirname(fixture.cssFile), name);
+      await writeFile(file, content);
+      return file;
+    }
+
+    it('registers a single eleventy.before handler for all entries', () => {
+      const config = createMockConfig();
+      tailwindcss(config, {
+        entries: [
+          { input: 'css/site.css', output: 'site.css' },
+          { input: 'css/docs.css', output: 'docs.css' },
+        ],
+      });
+
+      expect(config.on).toHaveBeenCalledTimes(1);
+      expect(config.on).toHaveBeenCalledWith('eleventy.before', expect.any(Function));
+    });
+
+    it('watches every entry input', () => {
+      const config = createMockConfig({ input: 'mock-src' });
+      tailwindcss(config, {
+        entries: [
+          { input: 'css/site.css', output: 'site.css' },
+          { input: 'css/docs.css', output: 'docs.css' },
+        ],
+      });
+
+      expect(config.addWatchTarget).toHaveBeenCalledWith('mock-src/css/site.css');
+      expect(config.addWatchTarget).toHaveBeenCalledWith('mock-src/css/docs.css');
+    });
+
+    it('merges every entry output into one dev server watch list', () => {
+      const config = createMockConfig({ output: '_site' });
+      tailwindcss(config, {
+        entries: [
+          { input: 'css/site.css', output: 'site.css' },
+          { input: 'css/docs.css', output: 'docs/docs.css' },
+        ],
+      });
+
+      expect(config.setServerOptions).toHaveBeenCalledTimes(1);
+      expect(config.setServerOptions.mock.calls[0][0].watch).toEqual([
+        '_site/site.css',
+        '_site/docs/docs.css',
+      ]);
+    });
+
+    it('only watches a file imported by several entries once', async () => {
+      const fixture = await createTempFixture('@import "./shared.css";');
+      tmpDir = fixture.tmpDir;
+      const shared = await addSourceFile(fixture, 'shared.css', '.shared { color: red; }');
+      await addSourceFile(fixture, 'docs.css', '@import "./shared.css";');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        entries: [
+          { input: 'css/tailwind.css', output: 'site.css' },
+          { input: 'css/docs.css', output: 'docs.css' },
+        ],
+      });
+
+      const sharedCalls = config.addWatchTarget.mock.calls.filter(
+        call => call[0] === path.relative(process.cwd(), shared)
+      );
+      expect(sharedCalls).toHaveLength(1);
+    });
+
+    it('compiles every entry and logs one line per entry', async () => {
+      const fixture = await createTempFixture('.site { color: red; }');
+      tmpDir = fixture.tmpDir;
+      await addSourceFile(fixture, 'docs.css', '.docs { color: blue; }');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        entries: [
+          { input: 'css/tailwind.css', output: 'site.css' },
+          { input: 'css/docs.css', output: 'docs/docs.css' },
+        ],
+      });
+
+      await getBeforeHandler(config)();
+
+      const site = await readFile(path.join(fixture.outputDir, 'site.css'), 'utf-8');
+      const docs = await readFile(path.join(fixture.outputDir, 'docs', 'docs.css'), 'utf-8');
+      expect(site).toContain('.site');
+      expect(docs).toContain('.docs');
+
+      const wroteCalls = consoleSpy.mock.calls.filter(
+        call => typeof call[0] === 'string' && call[0].includes('Wrote')
+      );
+      expect(wroteCalls).toHaveLength(2);
+    });
+
+    it('applies per-entry minify and sourceMap, falling back to top-level options', async () => {
+      const fixture = await createTempFixture('.site { color: red; }');
+      tmpDir = fixture.tmpDir;
+      await addSourceFile(fixture, 'docs.css', '.docs { color: blue; }');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        sourceMap: 'inline',
+        entries: [
+          { input: 'css/tailwind.css', output: 'site.css' },
+          { input: 'css/docs.css', output: 'docs.css', sourceMap: true },
+        ],
+      });
+
+      await getBeforeHandler(config)();
+
+      const site = await readFile(path.join(fixture.outputDir, 'site.css'), 'utf-8');
+      expect(site).toContain('sourceMappingURL=data:');
+      expect(existsSync(path.join(fixture.outputDir, 'docs.css.map'))).toBe(true);
+    });
+
+    it('still compiles valid entries when another entry input is missing', async () => {
+      const fixture = await createTempFixture('.site { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        entries: [
+          { input: 'css/missing.css', output: 'missing.css' },
+          { input: 'css/tailwind.css', output: 'site.css' },
+        ],
+      });
+
+      await getBeforeHandler(config)();
+
+      expect(existsSync(path.join(fixture.outputDir, 'site.css'))).toBe(true);
+      expect(existsSync(path.join(fixture.outputDir, 'missing.css'))).toBe(false);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('cannot be found'));
+    });
+
+    it('warns when two entries write to the same output file', () => {
+      const config = createMockConfig();
+      tailwindcss(config, {
+        entries: [
+          { input: 'css/site.css' },
+          { input: 'css/docs.css' },
+        ],
+      });
+
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining('More than one entry writes to')
+      );
+    });
+  });
+
+  // =========================================================================
+  // Hashed output filenames
+  // =========================================================================
+  describe('hashed output filenames', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    /**
+     * Returns the function registered as the tailwindUrl shortcode.
+     */
+    function getTailwindUrl(config) {
+      return config.addShortcode.mock.calls.find(call => call[0] === 'tailwindUrl')[1];
+    }
+
+    it('registers tailwindUrl as a shortcode and a filter', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css' });
+
+      expect(config.addShortcode).toHaveBeenCalledWith('tailwindUrl', expect.any(Function));
+      expect(config.addFilter).toHaveBeenCalledWith('tailwindUrl', expect.any(Function));
+    });
+
+    it('returns the plain output URL when the output is not hashed', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', output: 'css/main.css' });
+
+      expect(getTailwindUrl(config)()).toBe('/css/main.css');
+    });
+
+    it('watches hashed outputs with a glob', () => {
+      const config = createMockConfig({ output: '_site' });
+      tailwindcss(config, { input: 'css/tailwind.css', output: 'css/[name].[hash].css' });
+
+      expect(config.setServerOptions.mock.calls[0][0].watch).toEqual(['_site/css/tailwind.*.css']);
+    });
+
+    it('writes the CSS to a filename containing the content hash', async () => {
+      const fixture = await createTempFixture('.hashed { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', output: 'css/[name].[hash].css' });
+
+      await getBeforeHandler(config)();
+
+      const url = getTailwindUrl(config)();
+      expect(url).toMatch(/^\/css\/tailwind\.[0-9a-f]{8}\.css$/);
+
+      const output = await readFile(path.join(fixture.outputDir, url), 'utf-8');
+      expect(output).toContain('.hashed');
+    });
+
+    it('removes the previous hashed file when the CSS changes', async () => {
+      const fixture = await createTempFixture('.first { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', output: 'css/[name].[hash].css' });
+      const handler = getBeforeHandler(config);
+
+      await handler();
+      const firstUrl = getTailwindUrl(config)();
+
+      await writeFile(fixture.cssFile, '.second { color: blue; }');
+      await handler();
+      const secondUrl = getTailwindUrl(config)();
+
+      expect(secondUrl).not.toBe(firstUrl);
+      expect(existsSync(path.join(fixture.outputDir, firstUrl))).toBe(false);
+      expect(existsSync(path.join(fixture.outputDir, secondUrl))).toBe(true);
+    });
+
+    it('points the sourcemap annotation at the hashed .map file', async () => {
+      const fixture = await createTempFixture('.hashed { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', output: '[name].[hash].css', sourceMap: true });
+
+      await getBeforeHandler(config)();
+
+      const fileName = getTailwindUrl(config)().slice(1);
+      const output = await readFile(path.join(fixture.outputDir, fileName), 'utf-8');
+      expect(output).toContain(`sourceMappingURL=${fileName}.map`);
+
+      const map = JSON.parse(await readFile(path.join(fixture.outputDir, `${fileName}.map`), 'utf-8'));
+      expect(map.file).toBe(fileName);
+    });
+
+    it('resolves the URL of a specific entry by its input', async () => {
+      const config = createMockConfig();
+      tailwindcss(config, {
+        entries: [
+          { input: 'css/site.css', output: 'site.css' },
+          { input: 'css/docs.css', output: 'docs/docs.css' },
+        ],
+      });
+
+      expect(getTailwindUrl(config)('css/docs.css')).toBe('/docs/docs.css');
+    });
+
+    it('warns and returns an empty string when no CSS has been generated yet', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', output: '[name].[hash].css' });
+
+      expect(getTailwindUrl(config)()).toBe('');
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('tailwindUrl could not find'));
+    });
+  });
+
+  // =========================================================================
+  // Stylesheet shortcode (tailwindStylesheet)
+  // =========================================================================
+  describe('stylesheet shortcode (tailwindStylesheet)', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      vi.unstubAllEnvs();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    function getTailwindStylesheet(config) {
+      return config.addShortcode.mock.calls.find(call => call[0] === 'tailwindStylesheet')[1];
+    }
+
+    it('renders the link for the first entry', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', output: 'css/site.css' });
+
+      expect(getTailwindStylesheet(config)()).toBe('<link rel="stylesheet" href="/css/site.css">');
+    });
+
+    it('applies the path prefix through Eleventy\'s url filter', () => {
+      const config = createMockConfig();
+      config.getFilter = vi.fn((name) => name === 'url' ? (url) => '/docs' + url : undefined);
+      tailwindcss(config, { input: 'css/tailwind.css' });
+
+      expect(getTailwindStylesheet(config)()).toBe('<link rel="stylesheet" href="/docs/styles.css">');
+    });
+
+    it('picks an entry by input and merges keyword arguments over the stylesheet option', () => {
+      const config = createMockConfig();
+      tailwindcss(config, {
+        stylesheet: { media: 'screen', preload: true },
+        entries: [
+          { input: 'css/site.css', output: 'site.css' },
+          { input: 'css/print.css', output: 'print.css' },
+        ],
+      });
+
+      // Nunjucks passes {% tailwindStylesheet "css/print.css", media="print", preload=false %} like this.
+      const html = getTailwindStylesheet(config)('css/print.css', { media: 'print', preload: false, __keywords: true });
+      expect(html).toBe('<link rel="stylesheet" href="/print.css" media="print">');
+    });
+
+    it('adds the integrity of the compiled CSS', async () => {
+      const fixture = await createTempFixture('.test { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+      await getBeforeHandler(config)();
+
+      const css = await readFile(path.join(fixture.outputDir, 'styles.css'));
+      const integrity = `sha384-${createHash('sha384').update(css).digest('base64')}`;
+      expect(getTailwindStylesheet(config)({ integrity: true }))
+        .toBe(`<link rel="stylesheet" href="/styles.css" integrity="${integrity}">`);
+    });
+
+    it('leaves the integrity out during --serve while the error overlay can change the file', async () => {
+      const fixture = await createTempFixture('.test { color: red; }');
+      tmpDir = fixture.tmpDir;
+      vi.stubEnv('ELEVENTY_RUN_MODE', 'serve');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', stylesheet: { integrity: true }, injectLink: true });
+      await getBeforeHandler(config)();
+
+      expect(getTailwindStylesheet(config)()).toBe('<link rel="stylesheet" href="/styles.css">');
+      const injectLink = config.addTransform.mock.calls.find(call => call[0] === 'tailwindcss-inject-link')[1];
+      expect(injectLink.call({ page: { outputPath: '_site/index.html' } }, '<html><head></head></html>'))
+        .toBe('<html><head><link rel="stylesheet" href="/styles.css"></head></html>');
+      const globalData = config.addGlobalData.mock.calls.find(call => call[0] === 'tailwind')[1];
+      expect(globalData().integrity).toBeUndefined();
+
+      const withoutOverlay = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(withoutOverlay, { input: 'css/tailwind.css', stylesheet: { integrity: true }, errorOverlay: false });
+      await getBeforeHandler(withoutOverlay)();
+      expect(getTailwindStylesheet(withoutOverlay)()).toContain('integrity="sha384-');
+    });
+
+    it('warns and returns an empty string when no CSS has been generated yet', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', output: '[name].[hash].css' });
+
+      expect(getTailwindStylesheet(config)()).toBe('');
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('tailwindStylesheet could not find'));
+    });
+  });
+
+  // =========================================================================
+  // Inline CSS (tailwindInline)
+  // =========================================================================
+  describe('inline CSS (tailwindInline)', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    function getShortcode(config) {
+      return config.addShortcode.mock.calls.find(call => call[0] === 'tailwindInline')[1];
+    }
+
+    function getFilter(config) {
+      return config.addFilter.mock.calls.find(call => call[0] === 'tailwindInline')[1];
+    }
+
+    /**
+     * Compiles a fixture with the plugin and returns the mock config.
+     */
+    async function build(css, pluginOptions = {}) {
+      const fixture = await createTempFixture(css);
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', sourceMap: true, ...pluginOptions });
+      await getBeforeHandler(config)();
+      return config;
+    }
+
+    it('returns the full compiled CSS without the sourcemap comment', async () => {
+      const config = await build('.used { color: red; } .unused { color: blue; }');
+
+      const css = getShortcode(config)();
+      expect(css).toContain('.used');
+      expect(css).toContain('.unused');
+      expect(css).not.toContain('sourceMappingURL');
+    });
+
+    it('minifies with keyword arguments or the inline option', async () => {
+      const config = await build('.used {\n  color: red;\n}', { inline: { minify: true } });
+
+      expect(getShortcode(config)()).toBe('.used{color:red}');
+      expect(getShortcode(config)({ minify: false, __keywords: true })).toContain('.used {\n  color: red;\n}');
+    });
+
+    it('scopes the CSS to the classes used in the filtered HTML', async () => {
+      const config = await build('.used { color: red; } .unused { color: blue; }');
+
+      const css = getFilter(config)('<p class="used">Hi</p>', { minify: true, __keywords: true });
+      expect(css).toBe('.used{color:red}');
+    });
+
+    it('moves the rules into style attributes in email mode', async () => {
+      const config = await build('.used { color: red; } .used:hover { color: blue; }', { inline: { email: true } });
+
+      const html = getFilter(config)('<html><head></head><body><p class="used">Hi</p></body></html>');
+      expect(html).toBe('<html><head><style>.used:hover {\n  color: #00f;\n}</style></head><body><p class="used" style="color:red">Hi</p></body></html>');
+    });
+
+    it('serves the shortcode and the filter from one function, as 11ty.js templates see only one', async () => {
+      const config = await build('.used { color: red; } .unused { color: blue; }');
+      const tailwindInline = getFilter(config);
+
+      expect(getShortcode(config)).toBe(tailwindInline);
+      expect(tailwindInline()).toContain('.unused');
+      expect(tailwindInline('css/tailwind.css', { minify: true })).toBe('.used{color:red}.unused{color:#00f}');
+      expect(tailwindInline('<p class="used">Hi</p>', { minify: true })).toBe('.used{color:red}');
+      expect(tailwindInline('', { minify: true })).toBe('');
+    });
+
+    it("lowers for the project's browserslist config", async () => {
+      const fixture = await createTempFixture('.used { inset: 0; }');
+      tmpDir = fixture.tmpDir;
+      await writeFile(path.join(tmpDir, '.browserslistrc'), 'safari 12');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+      await getBeforeHandler(config)();
+
+      expect(getShortcode(config)({ minify: true })).toBe('.used{top:0;bottom:0;left:0;right:0}');
+    });
+
+    it('warns when no CSS has been generated yet', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', output: '[name].[hash].css' });
+
+      expect(getShortcode(config)()).toBe('');
+      expect(getFilter(config)('<p class="used">Hi</p>')).toBe('');
+      expect(getFilter(config)('<p class="used">Hi</p>', { email: true })).toBe('<p class="used">Hi</p>');
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('tailwindInline could not find'));
+    });
+  });
+
+  // =========================================================================
+  // Asset manifest
+  // =========================================================================
+  describe('asset manifest', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    it('does not write a manifest by default', async () => {
+      const fixture = await createTempFixture('.test { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+      await getBeforeHandler(config)();
+
+      expect(existsSync(path.join(fixture.outputDir, 'manifest.json'))).toBe(false);
+    });
+
+    it('writes manifest.json describing the generated CSS when manifest is true', async () => {
+      const fixture = await createTempFixture('.test { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', output: 'css/[name].[hash].css', sourceMap: true, manifest: true });
+      await getBeforeHandler(config)();
+
+      const manifest = JSON.parse(await readFile(path.join(fixture.outputDir, 'manifest.json'), 'utf-8'));
+      const entry = manifest['css/tailwind.css'];
+      expect(entry.file).toBe(`css/tailwind.${entry.hash}.css`);
+      expect(entry.sourceMap).toBe(`${entry.file}.map`);
+
+      const css = await readFile(path.join(fixture.outputDir, entry.file));
+      expect(entry.size).toBe(css.length);
+    });
+
+    it('writes the manifest to a custom path and includes every entry', async () => {
+      const fixture = await createTempFixture('.site { color: red; }');
+      tmpDir = fixture.tmpDir;
+      await writeFile(path.join(path.dirname(fixture.cssFile), 'docs.css'), '.docs { color: blue; }');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        manifest: 'assets/css-manifest.json',
+        entries: [
+          { input: 'css/tailwind.css', output: 'site.css' },
+          { input: 'css/docs.css', output: 'docs.css' },
+        ],
+      });
+      await getBeforeHandler(config)();
+
+      const manifest = JSON.parse(await readFile(path.join(fixture.outputDir, 'assets', 'css-manifest.json'), 'utf-8'));
+      expect(Object.keys(manifest)).toEqual(['css/tailwind.css', 'css/docs.css']);
+      expect(manifest['css/docs.css'].file).toBe('docs.css');
+      expect(manifest['css/docs.css'].sourceMap).toBeNull();
+    });
+  });
+
+  // =========================================================================
+  // Global data (globalData)
+  // =========================================================================
+  describe('global data (globalData)', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    // The function registered with addGlobalData, which Eleventy calls before rendering.
+    function getGlobalData(config, key = 'tailwind') {
+      return config.addGlobalData.mock.calls.find(call => call[0] === key)[1];
+    }
+
+    it('describes the compiled stylesheet under the tailwind key', async () => {
+      const fixture = await createTempFixture('.test { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', output: 'css/[name].[hash].css' });
+      await getBeforeHandler(config)();
+
+      const data = getGlobalData(config)();
+      const css = await readFile(path.join(fixture.outputDir, 'css', `tailwind.${data.hash}.css`));
+      expect(data.url).toBe(`/css/tailwind.${data.hash}.css`);
+      expect(data.size).toBe(css.length);
+      expect(data.integrity).toBe(`sha384-${createHash('sha384').update(css).digest('base64')}`);
+      expect(data.css).toBeUndefined();
+      expect(data.entries['css/tailwind.css']).toEqual({ url: data.url, hash: data.hash, size: data.size, integrity: data.integrity });
+    });
+
+    it('includes the CSS when globalDataCSS is true', async () => {
+      const fixture = await createTempFixture('.test { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', globalDataCSS: true });
+      await getBeforeHandler(config)();
+
+      expect(getGlobalData(config)().css).toBe(await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8'));
+    });
+
+    it('reflects the latest build', async () => {
+      const fixture = await createTempFixture('.first { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+      const handler = getBeforeHandler(config);
+
+      await handler();
+      const first = getGlobalData(config)().hash;
+      await writeFile(fixture.cssFile, '.second { color: red; }');
+      await handler();
+
+      expect(getGlobalData(config)().hash).not.toBe(first);
+    });
+
+    it('lists every entry and leaves out ones that were not written', async () => {
+      const fixture = await createTempFixture('.site { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        entries: [
+          { input: 'css/tailwind.css', output: 'site.css' },
+          { input: 'css/missing.css', output: 'missing.css' },
+        ],
+      });
+      await getBeforeHandler(config)();
+
+      const data = getGlobalData(config)();
+      expect(data.url).toBe('/site.css');
+      expect(data.entries['css/tailwind.css'].url).toBe('/site.css');
+      expect(data.entries['css/missing.css']).toBeNull();
+    });
+
+    it('uses a custom key, or adds no global data when globalData is false', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', globalData: 'stylesheet' });
+      expect(config.addGlobalData).toHaveBeenCalledWith('stylesheet', expect.any(Function));
+
+      const disabled = createMockConfig();
+      tailwindcss(disabled, { input: 'css/tailwind.css', globalData: false });
+      expect(disabled.addGlobalData).not.toHaveBeenCalled();
+    });
+  });
+
+  // =========================================================================
+  // Style blocks (styleBlocks)
+  // =========================================================================
+  describe('style blocks (styleBlocks)', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    function getTransform(config) {
+      return config.addTransform.mock.calls.find(call => call[0] === 'tailwindcss-style-blocks')?.[1];
+    }
+
+    /**
+     * Runs the transform for a page of a fixture project.
+     */
+    function transform(config, fixture, html, outputPath = '_site/index.html') {
+      const page = { inputPath: path.join(fixture.inputDir, 'index.njk'), outputPath };
+      return getTransform(config).call({ page }, html);
+    }
+
+    it('does not register a transform by default', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css' });
+
+      expect(getTransform(config)).toBeUndefined();
+    });
+
+    it('compiles @apply and theme functions against the first entry', async () => {
+      const fixture = await createTempFixture('@import "tailwindcss";\n@theme { --color-brand: #123456; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', styleBlocks: true });
+
+      const html = await transform(config, fixture, '<style>.btn { @apply text-brand; }</style><style>.plain { color: red; }</style>');
+      expect(html).toBe('<style>.btn {\n  color: var(--color-brand, #123456);\n}</style><style>.plain { color: red; }</style>');
+    });
+
+    it('compiles each block of a page separately', async () => {
+      const fixture = await createTempFixture('@import "tailwindcss";');
+      tmpDir = fixture.tmpDir;
+      await writeFile(path.join(fixture.inputDir, 'index.njk'), '');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', styleBlocks: true });
+
+      // A layout's block followed by the page's own.
+      const html = await transform(config, fixture, '<style>.layout { @apply p-4; }</style><main><style>.page { @apply m-2; }</style></main>');
+      expect(html).toMatch(/<style>\.layout \{\s*padding:[^}]*\}\s*<\/style><main><style>\.page \{\s*margin:[^}]*\}\s*<\/style><\/main>/);
+    });
+
+    it('uses the entry named by styleBlocks as the reference', async () => {
+      const fixture = await createTempFixture('@import "tailwindcss";');
+      tmpDir = fixture.tmpDir;
+      await writeFile(path.join(fixture.inputDir, 'css', 'brand.css'), '@import "tailwindcss";\n@theme { --color-brand: #123456; }');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        styleBlocks: 'css/brand.css',
+        entries: [
+          { input: 'css/tailwind.css', output: 'site.css' },
+          { input: 'css/brand.css', output: 'brand.css' },
+        ],
+      });
+
+      expect(await transform(config, fixture, '<style>.btn { @apply text-brand; }</style>')).toContain('#123456');
+    });
+
+    it('leaves non-HTML output untouched', async () => {
+      const fixture = await createTempFixture('@import "tailwindcss";');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', styleBlocks: true });
+
+      const xml = '<style>.btn { @apply p-4; }</style>';
+      expect(await transform(config, fixture, xml, '_site/feed.xml')).toBe(xml);
+    });
+
+    it('logs errors and keeps the block as written', async () => {
+      const fixture = await createTempFixture('@import "tailwindcss";');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', styleBlocks: true });
+
+      const html = '<style>.btn { @apply not-a-utility; }</style>';
+      expect(await transform(config, fixture, html)).toBe(html);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Error processing <style> block in'));
+    });
+
+    it('throws for errors in strict mode', async () => {
+      const fixture = await createTempFixture('@import "tailwindcss";');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', styleBlocks: true, strict: true });
+
+      await expect(transform(config, fixture, '<style>.btn { @apply not-a-utility; }</style>')).rejects.toThrow('not-a-utility');
+    });
+
+    it('warns when the named entry does not exist', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', styleBlocks: 'css/missing.css' });
+
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('styleBlocks could not find the entry'));
+    });
+  });
+
+  // =========================================================================
+  // Stylesheet link injection (injectLink)
+  // =========================================================================
+  describe('stylesheet link injection (injectLink)', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    function getTransform(config, name = 'tailwindcss-inject-link') {
+      return config.addTransform.mock.calls.find(call => call[0] === name)[1];
+    }
+
+    const render = (transform, html, outputPath = '_site/index.html') => transform.call({ page: { outputPath } }, html);
+
+    it('adds the link to a page that lacks it', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', injectLink: true });
+
+      expect(render(getTransform(config), '<html><head><title>Hi</title></head><body></body></html>'))
+        .toBe('<html><head><title>Hi</title><link rel="stylesheet" href="/styles.css"></head><body></body></html>');
+    });
+
+    it('leaves pages that link to any entry alone', () => {
+      const config = createMockConfig();
+      tailwindcss(config, {
+        injectLink: true,
+        entries: [
+          { input: 'css/site.css', output: 'site.css' },
+          { input: 'css/docs.css', output: 'docs.css' },
+        ],
+      });
+      const transform = getTransform(config);
+
+      const linked = '<html><head><link rel="stylesheet" href="/docs.css?v=2"></head></html>';
+      expect(render(transform, linked)).toBe(linked);
+      expect(render(transform, '<html><head></head></html>')).toContain('href="/site.css"');
+    });
+
+    it('gives injected links critical CSS, with the path prefix', async () => {
+      const fixture = await createTempFixture('.used { color: red; } .unused { color: blue; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      config.getFilter = vi.fn((name) => name === 'url' ? (url) => '/docs' + url : undefined);
+      tailwindcss(config, { input: 'css/tailwind.css', injectLink: true, criticalCSS: true });
+      await getBeforeHandler(config)();
+
+      // Eleventy runs transforms in the order they were added.
+      const names = config.addTransform.mock.calls.map((call) => call[0]);
+      expect(names.indexOf('tailwindcss-inject-link')).toBeLessThan(names.indexOf('tailwindcss-critical-css'));
+      const injected = render(getTransform(config), '<html><head></head><body><p class="used">Hi</p></body></html>');
+      const html = render(getTransform(config, 'tailwindcss-critical-css'), injected);
+
+      expect(html).toMatch(/<style>[\s\S]*\.used[\s\S]*<\/style><link rel="preload" href="\/docs\/styles.css"/);
+      expect(html).not.toContain('.unused');
+      expect(html).toContain('<noscript><link rel="stylesheet" href="/docs/styles.css"></noscript>');
+    });
+
+    it('uses the stylesheet option and the path prefix', () => {
+      const config = createMockConfig();
+      config.getFilter = vi.fn((name) => name === 'url' ? (url) => '/docs' + url : undefined);
+      tailwindcss(config, { input: 'css/tailwind.css', injectLink: true, stylesheet: { media: 'screen' } });
+      const transform = getTransform(config);
+
+      expect(render(transform, '<html><head></head></html>'))
+        .toBe('<html><head><link rel="stylesheet" href="/docs/styles.css" media="screen"></head></html>');
+      const prefixed = '<html><head><link rel="stylesheet" href="/docs/styles.css"></head></html>';
+      expect(render(transform, prefixed)).toBe(prefixed);
+    });
+
+    it('leaves non-HTML output, pages without a head and unwritten CSS alone', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', injectLink: true });
+      const transform = getTransform(config);
+
+      expect(render(transform, '<html><head></head></html>', '_site/feed.xml')).toBe('<html><head></head></html>');
+      expect(render(transform, '<p>fragment</p>')).toBe('<p>fragment</p>');
+
+      const hashed = createMockConfig();
+      tailwindcss(hashed, { input: 'css/tailwind.css', output: '[name].[hash].css', injectLink: true });
+      expect(render(getTransform(hashed), '<html><head></head></html>')).toBe('<html><head></head></html>');
+    });
+
+    it('lists the pages that needed a link in debug mode', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', injectLink: true, debug: true });
+      consoleSpy.mockClear();
+
+      render(getTransform(config), '<html><head></head></html>', '_site/about/index.html');
+
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Added missing stylesheet link to:'));
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('_site/about/index.html'));
+    });
+
+    it('is registered before the critical CSS transform', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', injectLink: true, criticalCSS: true });
+
+      expect(config.addTransform.mock.calls.map(call => call[0])).toEqual(['tailwindcss-inject-link', 'tailwindcss-critical-css']);
+    });
+  });
+
+  // =========================================================================
+  // Critical CSS
+  // =========================================================================
+  describe('critical CSS', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    const page = `<html><head><link rel="stylesheet" href="/styles.css"></head>
+<body><p class="used">Hi</p></body></html>`;
+
+    /**
+     * Returns the critical CSS transform registered on a mock config.
+     */
+    function getTransform(config) {
+      return config.addTransform.mock.calls.find(call => call[0] === 'tailwindcss-critical-css')[1];
+    }
+
+    it('does not register a transform by default', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css' });
+
+      expect(config.addTransform).not.toHaveBeenCalled();
+    });
+
+    it('inlines the rules used on the page and loads the stylesheet asynchronously', async () => {
+      const fixture = await createTempFixture('.used { color: red; } .unused { color: blue; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', criticalCSS: true });
+      await getBeforeHandler(config)();
+
+      const html = getTransform(config).call({ page: { outputPath: '_site/index.html' } }, page);
+
+      expect(html).toMatch(/<style>[\s\S]*\.used[\s\S]*<\/style>/);
+      expect(html).not.toContain('.unused');
+      expect(html).toContain('rel="preload" href="/styles.css"');
+      expect(html).toContain('<noscript><link rel="stylesheet" href="/styles.css"></noscript>');
+    });
+
+    it('inlines the CSS for links that include the path prefix', async () => {
+      const fixture = await createTempFixture('.used { color: red; } .unused { color: blue; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      config.getFilter = vi.fn((name) => name === 'url' ? (url) => '/docs' + url : undefined);
+      tailwindcss(config, { input: 'css/tailwind.css', criticalCSS: true });
+      await getBeforeHandler(config)();
+
+      const html = getTransform(config).call({ page: { outputPath: '_site/index.html' } }, page.replace('/styles.css', '/docs/styles.css'));
+
+      expect(html).toMatch(/<style>[\s\S]*\.used[\s\S]*<\/style>/);
+      expect(html).toContain('<noscript><link rel="stylesheet" href="/docs/styles.css"></noscript>');
+    });
+
+    it('leaves non-HTML output untouched', async () => {
+      const fixture = await createTempFixture('.used { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', criticalCSS: true });
+      await getBeforeHandler(config)();
+
+      const transform = getTransform(config);
+      expect(transform.call({ page: { outputPath: '_site/feed.xml' } }, page)).toBe(page);
+      expect(transform.call({ page: { outputPath: false } }, page)).toBe(page);
+    });
+
+    it('leaves pages that do not link to the stylesheet untouched', async () => {
+      const fixture = await createTempFixture('.used { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', criticalCSS: true });
+      await getBeforeHandler(config)();
+
+      const other = page.replace('/styles.css', '/other.css');
+      expect(getTransform(config).call({ page: { outputPath: '_site/index.html' } }, other)).toBe(other);
+    });
+
+    it('uses the latest compiled CSS after a rebuild', async () => {
+      const fixture = await createTempFixture('.used { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', criticalCSS: true });
+      const handler = getBeforeHandler(config);
+      const transform = getTransform(config);
+
+      await handler();
+      transform.call({ page: { outputPath: '_site/index.html' } }, page);
+
+      await writeFile(fixture.cssFile, '.used { color: green; }');
+      await handler();
+      const html = transform.call({ page: { outputPath: '_site/index.html' } }, page);
+
+      expect(html).toContain('green');
+      expect(html).not.toContain('red');
+    });
+  });
+
+  // =========================================================================
+  // Scanning rendered output
+  // =========================================================================
+  describe('scanning rendered output (scanOutput)', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    it('compiles in eleventy.after instead of eleventy.before', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', scanOutput: true });
+
+      expect(config.on).toHaveBeenCalledTimes(1);
+      expect(config.on).toHaveBeenCalledWith('eleventy.after', expect.any(Function));
+    });
+
+    it('generates utilities found in the rendered output, not the source files', async () => {
+      const fixture = await createTempFixture('@import "tailwindcss";');
+      tmpDir = fixture.tmpDir;
+      await writeFile(path.join(fixture.inputDir, 'index.njk'), '<p class="text-blue-500"></p>');
+      await mkdir(fixture.outputDir, { recursive: true });
+      await writeFile(path.join(fixture.outputDir, 'index.html'), '<p class="text-red-500"></p>');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', scanOutput: true });
+
+      await config._handlers['eleventy.after']({ results: [] });
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toContain('.text-red-500');
+      expect(output).not.toContain('.text-blue-500');
+    }, 30000);
+
+    it('warns that criticalCSS and hashed outputs use the previous build', () => {
+      const config = createMockConfig();
+      tailwindcss(config, { input: 'css/tailwind.css', output: '[hash].css', criticalCSS: true, scanOutput: true });
+
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('criticalCSS uses the CSS from the previous build'));
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining("tailwindUrl returns the previous build's [hash]"));
+    });
+  });
+
+  // =========================================================================
+  // Dev server error overlay
+  // =========================================================================
+  describe('dev server error overlay', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    it('appends an overlay to the last good CSS when compilation fails in serve mode', async () => {
+      const fixture = await createTempFixture('.good { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+      const handler = getBeforeHandler(config);
+
+      await handler({ runMode: 'serve' });
+      await writeFile(fixture.cssFile, '.broken { color: red;');
+      await handler({ runMode: 'serve' });
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toContain('.good');
+      expect(output).toContain('html::after');
+      expect(output).toContain('Unclosed block');
+    });
+
+    it('clears the overlay on the next successful build', async () => {
+      const fixture = await createTempFixture('.good { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+      const handler = getBeforeHandler(config);
+
+      await handler({ runMode: 'serve' });
+      await writeFile(fixture.cssFile, '.broken { color: red;');
+      await handler({ runMode: 'serve' });
+      await writeFile(fixture.cssFile, '.fixed { color: red; }');
+      await handler({ runMode: 'serve' });
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toContain('.fixed');
+      expect(output).not.toContain('html::after');
+    });
+
+    it('does not write an overlay outside serve mode', async () => {
+      const fixture = await createTempFixture('.good { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css' });
+      const handler = getBeforeHandler(config);
+
+      await handler({ runMode: 'build' });
+      await writeFile(fixture.cssFile, '.broken { color: red;');
+      await handler({ runMode: 'build' });
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).not.toContain('html::after');
+    });
+
+    it('does not write an overlay when errorOverlay is false', async () => {
+      const fixture = await createTempFixture('.good { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', errorOverlay: false });
+      const handler = getBeforeHandler(config);
+
+      await handler({ runMode: 'serve' });
+      await writeFile(fixture.cssFile, '.broken { color: red;');
+      await handler({ runMode: 'serve' });
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).not.toContain('html::after');
+    });
+  });
+
+  // =========================================================================
+  // Strict mode
+  // =========================================================================
+  describe('strict mode', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    it('throws when no input is supplied', async () => {
+      const config = createMockConfig();
+      tailwindcss(config, { strict: true });
+
+      await expect(getBeforeHandler(config)()).rejects.toThrow('No input file supplied');
+    });
+
+    it('throws when the input file cannot be found', async () => {
+      const config = createMockConfig({ input: 'mock-src' });
+      tailwindcss(config, { input: 'nonexistent.css', strict: true });
+
+      await expect(getBeforeHandler(config)()).rejects.toThrow('mock-src/nonexistent.css cannot be found');
+    });
+
+    it('throws when a local import cannot be found', async () => {
+      const fixture = await createTempFixture('@import "./missing.css";');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', strict: true });
+
+      await expect(getBeforeHandler(config)()).rejects.toThrow('missing.css');
+    });
+
+    it('rethrows PostCSS errors after logging them', async () => {
+      const fixture = await createTempFixture('.broken { color: red;');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', strict: true });
+
+      await expect(getBeforeHandler(config)()).rejects.toThrow('Unclosed block');
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Error processing TailwindCSS'));
+    });
+
+    it("'auto' is strict for builds but not for --serve or --watch", async () => {
+      const fixture = await createTempFixture('.broken { color: red;');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', strict: 'auto' });
+      const handler = getBeforeHandler(config);
+
+      await expect(handler({ runMode: 'build' })).rejects.toThrow();
+      await expect(handler({ runMode: 'serve' })).resolves.toBeUndefined();
+      await expect(handler({ runMode: 'watch' })).resolves.toBeUndefined();
+    });
+  });
+
+  // =========================================================================
+  // User PostCSS plugins
+  // =========================================================================
+  describe('user PostCSS plugins (postcssPlugins)', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    /**
+     * A PostCSS plugin that records the CSS it sees and appends a marker rule.
+     */
+    function markerPlugin(name, seen) {
+      return {
+        postcssPlugin: name,
+        Once(root, { Rule }) {
+          seen?.push(root.toString());
+          root.append(new Rule({ selector: `.${name}` }).append({ prop: 'color', value: 'red' }));
+        },
+      };
+    }
+
+    it('runs "before" plugins on the source CSS, ahead of Tailwind', async () => {
+      const fixture = await createTempFixture('.source { color: red; }');
+      tmpDir = fixture.tmpDir;
+      const seen = [];
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        input: 'css/tailwind.css',
+        postcssPlugins: { before: [markerPlugin('from-before', seen)] },
+      });
+      await getBeforeHandler(config)();
+
+      expect(seen[0].trim()).toBe('.source { color: red; }');
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toContain('.from-before');
+    });
+
+    it('runs "after" plugins on the CSS Tailwind generated', async () => {
+      const fixture = await createTempFixture('@import "tailwindcss";');
+      tmpDir = fixture.tmpDir;
+      const seen = [];
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        input: 'css/tailwind.css',
+        postcssPlugins: { after: [markerPlugin('from-after', seen)] },
+      });
+      await getBeforeHandler(config)();
+
+      // Tailwind has already expanded the import by the time the plugin runs
+      expect(seen[0]).not.toContain('@import "tailwindcss"');
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toContain('.from-after');
+    }, 30000);
+
+    it('minifies the output of "after" plugins', async () => {
+      const fixture = await createTempFixture('.source { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        input: 'css/tailwind.css',
+        minify: true,
+        postcssPlugins: { after: [markerPlugin('from-after')] },
+      });
+      await getBeforeHandler(config)();
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      // cssnano ran after the plugin: the rule was added and merged with the source rule
+      expect(output).toBe('.from-after,.source{color:red}');
+    });
+
+    it('lets an entry override the top-level plugins', async () => {
+      const fixture = await createTempFixture('.source { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, {
+        postcssPlugins: { after: [markerPlugin('top-level')] },
+        entries: [
+          { input: 'css/tailwind.css', output: 'a.css' },
+          { input: 'css/tailwind.css', output: 'b.css', postcssPlugins: { after: [markerPlugin('per-entry')] } },
+        ],
+      });
+      await getBeforeHandler(config)();
+
+      const a = await readFile(path.join(fixture.outputDir, 'a.css'), 'utf-8');
+      const b = await readFile(path.join(fixture.outputDir, 'b.css'), 'utf-8');
+      expect(a).toContain('.top-level');
+      expect(b).toContain('.per-entry');
+      expect(b).not.toContain('.top-level');
+    });
+  });
+
+  // =========================================================================
+  // cssnano options
+  // =========================================================================
+  describe('cssnano options', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    // Two rules the default preset merges into `.a,.b{color:red}`
+    const mergeable = '.a {\n  color: red;\n}\n.b {\n  color: red;\n}\n';
+
+    it('merges rules with the default preset (minify: true)', async () => {
+      const fixture = await createTempFixture(mergeable);
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', minify: true });
+      await getBeforeHandler(config)();
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toBe('.a,.b{color:red}');
+    });
+
+    it('passes an options object to cssnano', async () => {
+      const fixture = await createTempFixture(mergeable);
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', minify: { preset: ['default', { mergeRules: false }] } });
+      await getBeforeHandler(config)();
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toBe('.a{color:red}.b{color:red}');
+    });
+
+    it("uses the advanced preset with minify: 'advanced'", async () => {
+      // The advanced preset removes duplicate properties the default preset keeps
+      const fixture = await createTempFixture('.a {\n  color: red;\n  color: red;\n  z-index: 100;\n}\n');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', minify: 'advanced' });
+      await getBeforeHandler(config)();
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toBe('.a{color:red;z-index:1}');
+    });
+
+    it('keeps the sourcemap pointing at the source through minification', async () => {
+      const fixture = await createTempFixture(mergeable);
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', minify: { preset: ['default', { mergeRules: false }] }, sourceMap: true });
+      await getBeforeHandler(config)();
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toBe('.a{color:red}.b{color:red}\n/*# sourceMappingURL=styles.css.map */');
+
+      const map = JSON.parse(await readFile(path.join(fixture.outputDir, 'styles.css.map'), 'utf-8'));
+      expect(map.file).toBe('styles.css');
+      expect(map.sources.some(source => source.endsWith('tailwind.css'))).toBe(true);
+      expect(map.sourcesContent).toContain(mergeable);
+      expect(map.mappings).not.toBe('');
+    });
+  });
+
+  // =========================================================================
+  // Lightning CSS minification
+  // =========================================================================
+  describe("Lightning CSS minification (minify: 'lightningcss')", () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    it('minifies and lowers oklch colors for the given targets', async () => {
+      const fixture = await createTempFixture('.brand {\n  color: oklch(62.8% 0.258 29.23);\n}\n');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', minify: 'lightningcss', targets: 'safari 15' });
+      await getBeforeHandler(config)();
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).not.toContain('\n');
+      // Safari 15 has no oklch() support, so the color is converted
+      expect(output).toMatch(/^\.brand\{color:lab\(/);
+      expect(output).not.toContain('oklch(');
+    });
+
+    it('keeps modern syntax for modern targets', async () => {
+      const fixture = await createTempFixture('.brand { color: oklch(62.8% 0.258 29.23); }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', minify: 'lightningcss', targets: 'chrome 120' });
+      await getBeforeHandler(config)();
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toContain('oklch(');
+    });
+
+    it('writes a sourcemap that still points at the source file', async () => {
+      const fixture = await createTempFixture('.a { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', minify: 'lightningcss', targets: 'chrome 120', sourceMap: true });
+      await getBeforeHandler(config)();
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toContain('sourceMappingURL=styles.css.map');
+
+      const map = JSON.parse(await readFile(path.join(fixture.outputDir, 'styles.css.map'), 'utf-8'));
+      expect(map.sources.some(source => source.endsWith('tailwind.css'))).toBe(true);
+    });
+
+    it('embeds an inline sourcemap', async () => {
+      const fixture = await createTempFixture('.a { color: red; }');
+      tmpDir = fixture.tmpDir;
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', minify: 'lightningcss', targets: 'chrome 120', sourceMap: 'inline' });
+      await getBeforeHandler(config)();
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toContain('sourceMappingURL=data:application/json;base64,');
+    });
+  });
+
+  // =========================================================================
+  // Import aliases
+  // =========================================================================
+  describe('import aliases (aliases)', () => {
+    let consoleSpy;
+    let tmpDir;
+
+    beforeEach(() => {
+      consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      consoleSpy.mockRestore();
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true });
+        tmpDir = null;
+      }
+    });
+
+    it('compiles aliased imports, including ones in imported files', async () => {
+      const fixture = await createTempFixture('@import "~/components/button.css";');
+      tmpDir = fixture.tmpDir;
+      await mkdir(path.join(fixture.inputDir, 'components'), { recursive: true });
+      await writeFile(path.join(fixture.inputDir, 'components', 'button.css'), '@import "~/components/badge.css";\n.btn { color: blue; }');
+      await writeFile(path.join(fixture.inputDir, 'components', 'badge.css'), '.badge { color: green; }');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', aliases: { '~': fixture.inputDir } });
+      await getBeforeHandler(config)();
+
+      const output = await readFile(path.join(fixture.outputDir, 'styles.css'), 'utf-8');
+      expect(output).toContain('.btn');
+      expect(output).toContain('.badge');
+      expect(globalThis.__tw_resolve).toBeUndefined();
+    });
+
+    it('watches aliased imports', async () => {
+      const fixture = await createTempFixture('@import "~/components/button.css";');
+      tmpDir = fixture.tmpDir;
+      await mkdir(path.join(fixture.inputDir, 'components'), { recursive: true });
+      await writeFile(path.join(fixture.inputDir, 'components', 'button.css'), '.btn {}');
+
+      const config = createMockConfig({ input: fixture.inputDir, output: fixture.outputDir });
+      tailwindcss(config, { input: 'css/tailwind.css', aliases: { '~': fixture.inputDir } });
+
+      const buttonFile = path.join(await realpath(fixture.inputDir), 'components', 'button.css');
+      expect(config.addWatchTarget).toHaveBeenCalledWith(path.relative(process.cwd(), buttonFile));
+    });
+  });
+
   // =========================================================================
   // Debug logging
   // =========================================================================
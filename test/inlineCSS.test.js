@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { inlineStyles, minifyInlineCSS, stripSourceMapComment } from '../lib/inlineCSS.js';
+import { parseCSS } from '../lib/criticalCSS.js';
+import { resolveTargets } from '../lib/lightningcss.js';
+
+describe('inlineCSS', () => {
+
+  // =========================================================================
+  // stripSourceMapComment
+  // =========================================================================
+  describe('stripSourceMapComment', () => {
+    it('removes a trailing sourceMappingURL comment', () => {
+      expect(stripSourceMapComment('.a { color: red; }\n/*# sourceMappingURL=styles.css.map */\n')).toBe('.a { color: red; }');
+    });
+
+    it('leaves CSS without one alone', () => {
+      expect(stripSourceMapComment('.a { color: red; } /* note */')).toBe('.a { color: red; } /* note */');
+    });
+  });
+
+  // =========================================================================
+  // minifyInlineCSS
+  // =========================================================================
+  describe('minifyInlineCSS', () => {
+    it('minifies and lowers for the targets', () => {
+      const css = minifyInlineCSS('.a {\n  &:hover { color: #ff0000; }\n}', resolveTargets('safari 12'));
+      expect(css).toBe('.a:hover{color:red}');
+    });
+  });
+
+  // =========================================================================
+  // inlineStyles
+  // =========================================================================
+  describe('inlineStyles', () => {
+    it('moves single-class rules into style attributes, in source order', () => {
+      const root = parseCSS('.p-4 { padding: 1rem; } .a { color: red; } .b { color: blue; margin: 0; }');
+      const html = inlineStyles('<p class="b a">Hi</p><p>Plain</p>', root);
+
+      expect(html).toBe('<p class="b a" style="color:#00f;margin:0">Hi</p><p>Plain</p>');
+    });
+
+    it('keeps !important declarations over later ones', () => {
+      const root = parseCSS('.\\!mt-2 { margin-top: .5rem !important; } .mt-4 { margin-top: 1rem; }');
+      const html = inlineStyles('<div class="!mt-2 mt-4"></div>', root);
+
+      expect(html).toBe('<div class="!mt-2 mt-4" style="margin-top:.5rem!important"></div>');
+    });
+
+    it('resolves theme variables, element variables, @property defaults and fallbacks', () => {
+      const root = parseCSS(`
+        @property --tw-font-weight { syntax: "*"; inherits: false; initial-value: 400; }
+        @layer theme { :root, :host { --spacing: .25rem; --color-red-500: #f00; } }
+        @layer utilities {
+          .p-4 { padding: calc(var(--spacing) * 4); }
+          .text-red-500 { color: var(--color-red-500); }
+          .weight { font-weight: var(--tw-font-weight); }
+          .font-bold { --tw-font-weight: 700; font-weight: var(--tw-font-weight); }
+          .gap { gap: var(--missing, 2px); }
+          .broken { margin: var(--missing); }
+        }`);
+
+      expect(inlineStyles('<p class="p-4 text-red-500 weight gap broken"></p>', root))
+        .toContain('style="color:red;gap:2px;padding:1rem;font-weight:400"');
+      expect(inlineStyles('<b class="font-bold"></b>', root)).toContain('<b class="font-bold" style="font-weight:700">');
+    });
+
+    it('lets an existing style attribute win', () => {
+      const root = parseCSS('.a { color: red; padding: 0; }');
+      const html = inlineStyles(`<p class="a" style="color: blue">Hi</p><img class='a' src="x.png" />`, root);
+
+      expect(html).toBe(`<p class="a" style="color:#00f;padding:0">Hi</p><img class='a' src="x.png" style="color:red;padding:0"/>`);
+    });
+
+    it('keeps variants and base styles the page uses in a <style> at the start of <head>', () => {
+      const root = parseCSS(`
+        body { margin: 0; }
+        .a { color: red; }
+        .hover\\:a:hover { color: blue; }
+        @media (width >= 48rem) { .md\\:a { color: green; } }
+        .unused:hover { color: black; }`);
+      const html = inlineStyles('<html><head><title>x</title></head><body><p class="a hover:a md:a"></p></body></html>', root, { minify: true });
+
+      expect(html).toBe('<html><head><style>body{margin:0}.hover\\:a:hover{color:#00f}@media (width>=48rem){.md\\:a{color:green}}</style>'
+        + '<title>x</title></head><body><p class="a hover:a md:a" style="color:red"></p></body></html>');
+    });
+
+    it('prepends the <style> when there is no <head>', () => {
+      const root = parseCSS('.a { color: red; } .a:hover { color: blue; }');
+
+      expect(inlineStyles('<p class="a"></p>', root)).toBe('<style>.a:hover {\n  color: #00f;\n}</style><p class="a" style="color:red"></p>');
+    });
+
+    it('lowers the <style> CSS for the targets without minifying it', () => {
+      const root = parseCSS('.a { color: red; &:hover { color: blue; } }');
+
+      expect(inlineStyles('<p class="a"></p>', root, { targets: resolveTargets('safari 12') }))
+        .toBe('<style>.a:hover {\n  color: #00f;\n}</style><p class="a" style="color:red"></p>');
+    });
+
+    it('does not modify the parsed CSS', () => {
+      const root = parseCSS('.a { color: red; }');
+      inlineStyles('<p class="a"></p>', root);
+
+      expect(root.toString()).toBe('.a { color: red; }');
+    });
+  });
+});
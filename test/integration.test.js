@@ -10,11 +10,12 @@
  */
 
 import { describe, it, expect, afterEach } from 'vitest';
-import { mkdtemp, writeFile, readFile, rm, mkdir, symlink } from 'node:fs/promises';
+import { mkdtemp, writeFile, readFile, readdir, rm, mkdir, symlink } from 'node:fs/promises';
 import { existsSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import path from 'node:path';
 import { execFile } from 'node:child_process';
+import { createHash } from 'node:crypto';
 import { promisify } from 'node:util';
 
 const execFileAsync = promisify(execFile);
@@ -45,6 +46,7 @@ async function scaffoldProject({
   inputDir = 'src',
   outputDir = '_site',
   extraConfig = '',               // extra lines inside the config function
+  extraOptions = [],              // extra plugin options, e.g. ['criticalCSS: true']
   extraCSS = '',                  // extra CSS files to create (array of {path, content})
 } = {}) {
   const tmpDir = await mkdtemp(path.join(tmpdir(), 'etw-integ-'));
@@ -84,6 +86,7 @@ async function scaffoldProject({
   if (outputOption) opts.push(`output: '${outputOption}'`);
   if (minify) opts.push(`minify: true`);
   if (debug) opts.push(`debug: true`);
+  opts.push(...extraOptions);
   const optsStr = opts.join(', ');
 
   // Write eleventy config
@@ -114,12 +117,12 @@ export default function (eleventyConfig) {
 }
 
 /**
- * Runs an Eleventy build in the given project directory.
+ * Runs an Eleventy build in the given project directory, with optional CLI arguments.
  * Returns { stdout, stderr }.
  */
-async function runBuild(projectDir) {
+async function runBuild(projectDir, args = []) {
   try {
-    const result = await execFileAsync(eleventyBin, [], {
+    const result = await execFileAsync(eleventyBin, args, {
       cwd: projectDir,
       env: { ...process.env, NODE_ENV: 'production' },
       timeout: 30000,
@@ -363,4 +366,184 @@ describe('integration — real Eleventy builds', () => {
     const css = await readFile(cssFile, 'utf-8');
     expect(css.length).toBeGreaterThan(100);
   }, 30000);
+
+  // ---- 14. Hashed output resolved through the tailwindUrl shortcode ----
+  it('hashed output: template links to the hashed file via tailwindUrl', async () => {
+    const { tmpDir, srcDir, outDir } = await scaffoldProject({
+      outputOption: 'css/[name].[hash].css',
+    });
+    tmpDirs.push(tmpDir);
+
+    await writeFile(path.join(srcDir, 'index.html'), `<!DOCTYPE html>
+<html>
+<head><link rel="stylesheet" href="{% tailwindUrl %}"></head>
+<body><h1 class="text-red-500">Hello</h1></body>
+</html>`);
+
+    await runBuild(tmpDir);
+
+    const html = await readFile(path.join(outDir, 'index.html'), 'utf-8');
+    const href = html.match(/href="([^"]+)"/)[1];
+    expect(href).toMatch(/^\/css\/tailwind\.[0-9a-f]{8}\.css$/);
+    expect(existsSync(path.join(outDir, href))).toBe(true);
+  }, 30000);
+
+  // ---- 15. Critical CSS is inlined into rendered pages ----
+  it('critical CSS: inlines used utilities and defers the full stylesheet', async () => {
+    const { tmpDir, outDir } = await scaffoldProject({
+      extraOptions: ['criticalCSS: true'],
+    });
+    tmpDirs.push(tmpDir);
+
+    await runBuild(tmpDir);
+
+    const html = await readFile(path.join(outDir, 'index.html'), 'utf-8');
+    const inlined = html.match(/<style>([\s\S]*?)<\/style>/)[1];
+    expect(inlined).toContain('.text-red-500');
+    expect(inlined.length).toBeLessThan((await readFile(path.join(outDir, 'styles.css'), 'utf-8')).length);
+    expect(html).toContain('rel="preload" href="/styles.css"');
+  }, 30000);
+
+  // ---- 16. Templates read the compiled stylesheet from global data ----
+  it('global data: templates render the url, integrity and css of the current build', async () => {
+    const { tmpDir, srcDir, outDir } = await scaffoldProject({
+      outputOption: 'css/[name].[hash].css',
+      extraOptions: ['globalDataCSS: true'],
+    });
+    tmpDirs.push(tmpDir);
+
+    await writeFile(path.join(srcDir, 'index.html'), `<!DOCTYPE html>
+<html>
+<head><link rel="stylesheet" href="{{ tailwind.url }}" integrity="{{ tailwind.integrity }}"></head>
+<body><h1 class="text-red-500">Hello</h1><p id="size">{{ tailwind.size }}</p><p id="inline">{{ tailwind.css.length }}</p></body>
+</html>`);
+
+    await runBuild(tmpDir);
+
+    const html = await readFile(path.join(outDir, 'index.html'), 'utf-8');
+    const href = html.match(/href="([^"]+)"/)[1];
+    expect(href).toMatch(/^\/css\/tailwind\.[0-9a-f]{8}\.css$/);
+    const css = await readFile(path.join(outDir, href));
+    expect(html).toContain(`integrity="sha384-${createHash('sha384').update(css).digest('base64')}"`);
+    expect(html).toContain(`<p id="size">${css.length}</p>`);
+    expect(html).toContain(`<p id="inline">${css.toString().length}</p>`);
+  }, 30000);
+
+  // ---- 17. The stylesheet shortcode renders the link in every template language ----
+  it('tailwindStylesheet: renders the prefixed link with integrity, preload and media', async () => {
+    const { tmpDir, srcDir, outDir } = await scaffoldProject({
+      outputOption: 'css/[name].[hash].css',
+      extraOptions: ['stylesheet: { integrity: true }'],
+    });
+    tmpDirs.push(tmpDir);
+
+    await writeFile(path.join(srcDir, 'index.njk'), `<head>{% tailwindStylesheet preload=true, media="screen" %}</head><h1 class="text-red-500">Hello</h1>`);
+    await writeFile(path.join(srcDir, 'liquid.liquid'), `<head>{% tailwindStylesheet "css/tailwind.css" %}</head>`);
+    await writeFile(path.join(srcDir, 'js.11ty.js'), `export default function () { return this.tailwindStylesheet({ crossorigin: true }); }`);
+    await rm(path.join(srcDir, 'index.html'));
+
+    await runBuild(tmpDir, ['--pathprefix=/docs/']);
+
+    const [file] = (await readdir(path.join(outDir, 'css'))).filter((name) => name.endsWith('.css'));
+    const href = `/docs/css/${file}`;
+    const css = await readFile(path.join(outDir, 'css', file));
+    const integrity = `sha384-${createHash('sha384').update(css).digest('base64')}`;
+
+    const njk = await readFile(path.join(outDir, 'index.html'), 'utf-8');
+    expect(njk).toContain(`<link rel="preload" as="style" href="${href}" integrity="${integrity}">`);
+    expect(njk).toContain(`<link rel="stylesheet" href="${href}" integrity="${integrity}" media="screen">`);
+
+    const liquid = await readFile(path.join(outDir, 'liquid', 'index.html'), 'utf-8');
+    expect(liquid).toBe(`<head><link rel="stylesheet" href="${href}" integrity="${integrity}"></head>`);
+
+    const js = await readFile(path.join(outDir, 'js', 'index.html'), 'utf-8');
+    expect(js).toBe(`<link rel="stylesheet" href="${href}" integrity="${integrity}" crossorigin="anonymous">`);
+  }, 30000);
+
+  // ---- 18. The inline filter moves the page's utilities into style attributes ----
+  it('tailwindInline: inlines styles in an email layout', async () => {
+    const { tmpDir, srcDir, outDir } = await scaffoldProject({});
+    tmpDirs.push(tmpDir);
+
+    await mkdir(path.join(srcDir, '_includes'), { recursive: true });
+    await writeFile(path.join(srcDir, '_includes', 'email.njk'), `<html><head></head><body>{{ content | tailwindInline(email=true) | safe }}</body></html>`);
+    await writeFile(path.join(srcDir, 'email.njk'), `---\nlayout: email.njk\n---\n<p class="p-4 text-red-500 md:p-8">Hello</p>`);
+    await writeFile(path.join(srcDir, 'inline.liquid'), `<style>{{ '<p class="font-bold">' | tailwindInline }}</style>`);
+
+    await runBuild(tmpDir);
+
+    const email = await readFile(path.join(outDir, 'email', 'index.html'), 'utf-8');
+    const style = email.match(/<p class="p-4 text-red-500 md:p-8" style="([^"]*)">Hello<\/p>/)?.[1];
+    expect(style).toContain('padding:1rem');
+    expect(style).not.toContain('var(');
+    // The layout's <head> isn't part of content, so the variants come first in the body.
+    expect(email).toMatch(/<body><style>[\s\S]*\.md\\:p-8[\s\S]*<\/style><p/);
+
+    const inline = await readFile(path.join(outDir, 'inline', 'index.html'), 'utf-8');
+    expect(inline).toContain('.font-bold');
+    expect(inline).not.toContain('.p-4');
+  }, 30000);
+
+  // ---- 19. Inline <style> blocks are compiled against the main entry ----
+  it('styleBlocks: compiles @apply in a template\'s <style> block', async () => {
+    const { tmpDir, srcDir, outDir } = await scaffoldProject({
+      cssContent: '@import "tailwindcss";\n@theme { --color-brand: #123456; }',
+      extraOptions: ['styleBlocks: true'],
+    });
+    tmpDirs.push(tmpDir);
+
+    await writeFile(path.join(srcDir, 'card.njk'), `<style>.card { @apply p-4 bg-brand; }</style><div class="card"></div>`);
+
+    await runBuild(tmpDir);
+
+    const html = await readFile(path.join(outDir, 'card', 'index.html'), 'utf-8');
+    expect(html).toMatch(/\.card\s*\{[^}]*background-color:\s*var\(--color-brand,\s*#123456\)/);
+    expect(html).not.toContain('@apply');
+  }, 30000);
+
+  // ---- 20. Classes built by shortcodes are found when scanning rendered output ----
+  it('scanOutput: utilities generated by a shortcode appear in output CSS', async () => {
+    const { tmpDir, srcDir, outDir } = await scaffoldProject({
+      extraOptions: ['scanOutput: true'],
+      // The class name is assembled at runtime so it never appears in a source file.
+      extraConfig: `eleventyConfig.addShortcode('badge', () => '<span class="bg-' + 'emerald-700">New</span>');`,
+    });
+    tmpDirs.push(tmpDir);
+
+    await writeFile(path.join(srcDir, 'index.html'), `<!DOCTYPE html>
+<html>
+<head><link rel="stylesheet" href="/styles.css"></head>
+<body>{% badge %}</body>
+</html>`);
+
+    await runBuild(tmpDir);
+
+    const css = await readFile(path.join(outDir, 'styles.css'), 'utf-8');
+    expect(css).toContain('bg-emerald-700');
+  }, 30000);
+
+  // ---- 21. Strict mode fails the build ----
+  it('strict mode: a CSS error makes eleventy exit with a non-zero code', async () => {
+    const { tmpDir } = await scaffoldProject({
+      cssContent: '@import "tailwindcss";\n.broken { color: red;',
+      extraOptions: ['strict: true'],
+    });
+    tmpDirs.push(tmpDir);
+
+    const { error } = await runBuild(tmpDir);
+
+    expect(error).toBeDefined();
+    expect(error.code).not.toBe(0);
+  }, 30000);
+
+  it('non-strict mode: a CSS error still exits successfully', async () => {
+    const { tmpDir } = await scaffoldProject({
+      cssContent: '@import "tailwindcss";\n.broken { color: red;',
+    });
+    tmpDirs.push(tmpDir);
+
+    const { error } = await runBuild(tmpDir);
+
+    expect(error).toBeUndefined();
+  }, 30000);
 });
@@ -0,0 +1,89 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { resolveTargets, minifyWithLightningCSS } from '../lib/lightningcss.js';
+
+describe('lightningcss', () => {
+  let tmpDir;
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  // =========================================================================
+  // resolveTargets
+  // =========================================================================
+  describe('resolveTargets', () => {
+    it('converts a browserslist query string', () => {
+      const targets = resolveTargets('safari 15');
+      expect(targets.safari).toBeDefined();
+      expect(targets.chrome).toBeUndefined();
+    });
+
+    it('converts an array of queries', () => {
+      const targets = resolveTargets(['safari 15', 'chrome 100']);
+      expect(targets.safari).toBeDefined();
+      expect(targets.chrome).toBeDefined();
+    });
+
+    it('passes a Lightning CSS targets object through unchanged', () => {
+      const targets = { safari: 15 << 16 };
+      expect(resolveTargets(targets)).toBe(targets);
+    });
+
+    it("falls back to the project's browserslist config", async () => {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'lightningcss-'));
+      await writeFile(path.join(tmpDir, '.browserslistrc'), 'firefox 100');
+      const from = path.join(tmpDir, 'tailwind.css');
+
+      const targets = resolveTargets(undefined, from);
+      expect(Object.keys(targets)).toEqual(['firefox']);
+    });
+  });
+
+  // =========================================================================
+  // minifyWithLightningCSS
+  // =========================================================================
+  describe('minifyWithLightningCSS', () => {
+    it('minifies CSS', () => {
+      const { css } = minifyWithLightningCSS({
+        css: '.a {\n  color: red;\n}\n',
+        filename: 'styles.css',
+        targets: resolveTargets('chrome 120'),
+      });
+      expect(css).toBe('.a{color:red}');
+    });
+
+    it('lowers oklch colors for older browsers', () => {
+      const { css } = minifyWithLightningCSS({
+        css: '.a { color: oklch(62.8% 0.258 29.23); }',
+        filename: 'styles.css',
+        targets: resolveTargets('chrome 100'),
+      });
+      // Falls back to an sRGB color, followed by the closest supported wide-gamut color
+      expect(css).toMatch(/^\.a\{color:red;color:lab\(/);
+      expect(css).not.toContain('oklch(');
+    });
+
+    it('lowers nesting for older browsers', () => {
+      const { css } = minifyWithLightningCSS({
+        css: '.a { & .b { color: red; } }',
+        filename: 'styles.css',
+        targets: resolveTargets('safari 15'),
+      });
+      expect(css).toBe('.a .b{color:red}');
+    });
+
+    it('returns a source map only when given an input map', () => {
+      const input = { version: 3, sources: ['tailwind.css'], names: [], mappings: 'AAAA', sourcesContent: ['.a{}'] };
+      expect(minifyWithLightningCSS({ css: '.a{color:red}', filename: 's.css', targets: {} }).map).toBeNull();
+
+      const { map } = minifyWithLightningCSS({ css: '.a{color:red}', map: input, filename: 's.css', targets: {} });
+      expect(map.sources).toContain('tailwind.css');
+    });
+  });
+});
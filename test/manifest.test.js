@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import path from 'node:path';
+import { createManifest } from '../lib/manifest.js';
+
+describe('createManifest', () => {
+  const outputDir = path.join('project', '_site');
+
+  it('maps each input to its output file, hash, size and sourcemap', () => {
+    const manifest = createManifest([
+      {
+        input: 'css/site.css',
+        currentFile: path.join(outputDir, 'css', 'site.abcd1234.css'),
+        hash: 'abcd1234',
+        size: 1024,
+        mapFile: path.join(outputDir, 'css', 'site.abcd1234.css.map'),
+      },
+    ], outputDir);
+
+    expect(manifest).toEqual({
+      'css/site.css': {
+        file: 'css/site.abcd1234.css',
+        hash: 'abcd1234',
+        size: 1024,
+        sourceMap: 'css/site.abcd1234.css.map',
+      },
+    });
+  });
+
+  it('uses null for sourceMap when no external map was written', () => {
+    const manifest = createManifest([
+      { input: 'css/site.css', currentFile: path.join(outputDir, 'styles.css'), hash: 'abcd1234', size: 10, mapFile: null },
+    ], outputDir);
+
+    expect(manifest['css/site.css'].sourceMap).toBeNull();
+  });
+
+  it('leaves out entries that have not been written', () => {
+    const manifest = createManifest([
+      { input: 'css/site.css', currentFile: path.join(outputDir, 'styles.css') },
+    ], outputDir);
+
+    expect(manifest).toEqual({});
+  });
+});
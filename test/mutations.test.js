@@ -37,6 +37,10 @@ function createMockConfig(dirs = {}) {
       output: dirs.output ?? '_site',
     },
     addWatchTarget: vi.fn(),
+    addShortcode: vi.fn(),
+    addFilter: vi.fn(),
+    addTransform: vi.fn(),
+    addGlobalData: vi.fn(),
     on: vi.fn((event, handler) => { handlers[event] = handler; }),
     setServerOptions: vi.fn(),
     _handlers: handlers,
@@ -1,8 +1,8 @@
 import { describe, it, expect, vi, afterEach } from 'vitest';
-import { mkdtemp, writeFile, rm, mkdir } from 'node:fs/promises';
+import { mkdtemp, writeFile, rm, mkdir, symlink, realpath } from 'node:fs/promises';
 import { tmpdir } from 'node:os';
 import path from 'node:path';
-import { resolveImports } from '../lib/resolveImports.js';
+import { resolveImports, buildImportGraph, walkImportGraph, formatImportGraph } from '../lib/resolveImports.js';
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -337,6 +337,210 @@ describe('resolveImports', () => {
     expect(result).toEqual([path.join(tmpDir, 'a.css')]);
   });
 
+  // =========================================================================
+  // Tailwind directives
+  // =========================================================================
+
+  it('discovers and recurses into @reference files', async () => {
+    tmpDir = await createFixture({
+      'main.css': '@reference "./base.css";',
+      'base.css': '@import "./tokens.css";',
+      'tokens.css': ':root {}',
+    });
+    const result = resolveImports(path.join(tmpDir, 'main.css'));
+    expect(result).toEqual([
+      path.join(tmpDir, 'base.css'),
+      path.join(tmpDir, 'tokens.css'),
+    ]);
+  });
+
+  it('discovers @plugin and @config files without recursing into them', async () => {
+    tmpDir = await createFixture({
+      'main.css': [
+        '@plugin "./plugins/forms.js";',
+        "@config './tailwind.config.js';",
+      ].join('\n'),
+      // Would be an import if it were parsed as CSS
+      'plugins/forms.js': 'export default "@import \'./nope.css\';"',
+      'tailwind.config.js': 'export default {}',
+    });
+    const onSkipNotFound = vi.fn();
+    const result = resolveImports(path.join(tmpDir, 'main.css'), { onSkipNotFound });
+    expect(result).toEqual([
+      path.join(tmpDir, 'plugins/forms.js'),
+      path.join(tmpDir, 'tailwind.config.js'),
+    ]);
+    expect(onSkipNotFound).not.toHaveBeenCalled();
+  });
+
+  it('skips bare @plugin packages', async () => {
+    tmpDir = await createFixture({
+      'main.css': '@plugin "@tailwindcss/typography";',
+    });
+    const onSkipBare = vi.fn();
+    const result = resolveImports(path.join(tmpDir, 'main.css'), { onSkipBare });
+    expect(result).toEqual([]);
+    expect(onSkipBare).toHaveBeenCalledWith('@tailwindcss/typography');
+  });
+
+  it('leaves @source directives to resolveSources', async () => {
+    tmpDir = await createFixture({
+      'css/main.css': '@source "../content";\n@source "../missing";',
+      'content/page.njk': '<p class="p-4"></p>',
+    });
+    const onSkipNotFound = vi.fn();
+    const result = resolveImports(path.join(tmpDir, 'css/main.css'), { onSkipNotFound });
+    expect(result).toEqual([]);
+    expect(onSkipNotFound).not.toHaveBeenCalled();
+  });
+
+  it('finds imports nested inside at-rules', async () => {
+    tmpDir = await createFixture({
+      'main.css': '@layer components {\n  @import "./button.css";\n}',
+      'button.css': '.btn {}',
+    });
+    const result = resolveImports(path.join(tmpDir, 'main.css'));
+    expect(result).toEqual([path.join(tmpDir, 'button.css')]);
+  });
+
+  it('handles imports with layer() and supports() conditions', async () => {
+    tmpDir = await createFixture({
+      'main.css': '@import "./button.css" layer(components) supports(display: grid);',
+      'button.css': '.btn {}',
+    });
+    const result = resolveImports(path.join(tmpDir, 'main.css'));
+    expect(result).toEqual([path.join(tmpDir, 'button.css')]);
+  });
+
+  it('ignores @import text inside strings', async () => {
+    tmpDir = await createFixture({
+      'main.css': '.example::before { content: "@import \'./phantom.css\';"; }',
+    });
+    const onSkipNotFound = vi.fn();
+    const result = resolveImports(path.join(tmpDir, 'main.css'), { onSkipNotFound });
+    expect(result).toEqual([]);
+    expect(onSkipNotFound).not.toHaveBeenCalled();
+  });
+
+  it('calls onParseError and stops for CSS that cannot be parsed', async () => {
+    tmpDir = await createFixture({
+      'main.css': '@import "./a.css";\n.broken {',
+      'a.css': '.a {}',
+    });
+    const onParseError = vi.fn();
+    const result = resolveImports(path.join(tmpDir, 'main.css'), { onParseError });
+    expect(result).toEqual([]);
+    expect(onParseError).toHaveBeenCalledWith(path.join(tmpDir, 'main.css'), expect.any(Error));
+  });
+
+  it('parses Tailwind-specific syntax', async () => {
+    tmpDir = await createFixture({
+      'main.css': [
+        '@import "tailwindcss";',
+        '@theme { --color-*: initial; --color-brand: #123456; }',
+        '@utility tab-4 { tab-size: 4; }',
+        '@custom-variant dark (&:where(.dark, .dark *));',
+        '@import "./a.css";',
+      ].join('\n'),
+      'a.css': '.a { @apply p-4; }',
+    });
+    const result = resolveImports(path.join(tmpDir, 'main.css'));
+    expect(result).toEqual([path.join(tmpDir, 'a.css')]);
+  });
+
+  // =========================================================================
+  // Node-style resolution
+  // =========================================================================
+
+  it('resolves package imports through the exports style condition', async () => {
+    tmpDir = await createFixture({
+      'packages/design-system/package.json': JSON.stringify({
+        name: '@company/design-system',
+        exports: { './tokens.css': { style: './dist/tokens.css' } },
+      }),
+      'packages/design-system/dist/tokens.css': ':root { --brand: red; }',
+      'site/main.css': '@import "@company/design-system/tokens.css";',
+    });
+    // A linked workspace package
+    await mkdir(path.join(tmpDir, 'site/node_modules/@company'), { recursive: true });
+    await symlink(path.join(tmpDir, 'packages/design-system'), path.join(tmpDir, 'site/node_modules/@company/design-system'));
+
+    const realTmp = await realpath(tmpDir);
+    const result = resolveImports(path.join(tmpDir, 'site/main.css'));
+    expect(result).toEqual([path.join(realTmp, 'packages/design-system/dist/tokens.css')]);
+  });
+
+  it('resolves a bare package import through its style field', async () => {
+    tmpDir = await createFixture({
+      'packages/ui/package.json': JSON.stringify({ name: 'ui', style: 'ui.css' }),
+      'packages/ui/ui.css': '@import "./button.css";',
+      'packages/ui/button.css': '.btn {}',
+      'site/main.css': '@import "ui";',
+    });
+    await mkdir(path.join(tmpDir, 'site/node_modules'), { recursive: true });
+    await symlink(path.join(tmpDir, 'packages/ui'), path.join(tmpDir, 'site/node_modules/ui'));
+
+    const realTmp = await realpath(tmpDir);
+    const result = resolveImports(path.join(tmpDir, 'site/main.css'));
+    expect(result).toEqual([
+      path.join(realTmp, 'packages/ui/ui.css'),
+      path.join(realTmp, 'packages/ui/button.css'),
+    ]);
+  });
+
+  it('skips files inside installed packages', async () => {
+    tmpDir = await createFixture({
+      'node_modules/open-props/package.json': JSON.stringify({ name: 'open-props', style: 'open-props.css' }),
+      'node_modules/open-props/open-props.css': ':root {}',
+      'main.css': '@import "open-props";',
+    });
+
+    const logger = { onSkipBare: vi.fn(), onWatch: vi.fn() };
+    const result = resolveImports(path.join(tmpDir, 'main.css'), logger);
+    expect(result).toEqual([]);
+    expect(logger.onSkipBare).toHaveBeenCalledWith('open-props');
+    expect(logger.onWatch).not.toHaveBeenCalled();
+  });
+
+  it('resolves package.json imports ("#...")', async () => {
+    tmpDir = await createFixture({
+      'package.json': JSON.stringify({ imports: { '#styles/*': './src/styles/*' } }),
+      'src/styles/base.css': '.base {}',
+      'src/css/main.css': '@import "#styles/base.css";',
+    });
+
+    const realTmp = await realpath(tmpDir);
+    const result = resolveImports(path.join(tmpDir, 'src/css/main.css'));
+    expect(result).toEqual([path.join(realTmp, 'src/styles/base.css')]);
+  });
+
+  it('resolves aliased imports from the aliased folder', async () => {
+    tmpDir = await createFixture({
+      'src/css/x.css': '.x {}',
+      'src/css/pages/main.css': '@import "~/css/x.css";\n@plugin "@plugins/forms.js";',
+      'plugins/forms.js': 'export default {}',
+    });
+
+    const realTmp = await realpath(tmpDir);
+    const aliases = { '~': path.join(tmpDir, 'src'), '@plugins': path.join(tmpDir, 'plugins') };
+    const result = resolveImports(path.join(tmpDir, 'src/css/pages/main.css'), {}, { aliases });
+    expect(result).toEqual([
+      path.join(realTmp, 'src/css/x.css'),
+      path.join(realTmp, 'plugins/forms.js'),
+    ]);
+  });
+
+  it('reports aliased imports that cannot be found', async () => {
+    tmpDir = await createFixture({
+      'src/css/main.css': '@import "~/css/missing.css";',
+    });
+
+    const logger = { onSkipNotFound: vi.fn() };
+    const aliases = { '~': path.join(tmpDir, 'src') };
+    resolveImports(path.join(tmpDir, 'src/css/main.css'), logger, { aliases });
+    expect(logger.onSkipNotFound).toHaveBeenCalledWith(path.join(tmpDir, 'src/css/missing.css'));
+  });
+
   // =========================================================================
   // Mixed real-world scenario
   // =========================================================================
@@ -379,3 +583,152 @@ describe('resolveImports', () => {
     expect(logger.onSkipNotFound).not.toHaveBeenCalled();
   });
 });
+
+describe('buildImportGraph', () => {
+  let tmpDir;
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  it('returns a tree of nodes with importer, specifier, resolved path and status', async () => {
+    tmpDir = await createFixture({
+      'main.css': [
+        '@import "tailwindcss";',
+        '@import "./components/button.css";',
+        '@import "./missing.css";',
+      ].join('\n'),
+      'components/button.css': '@plugin "./forms.js";',
+      'components/forms.js': 'export default {}',
+    });
+    const main = path.join(tmpDir, 'main.css');
+    const button = path.join(tmpDir, 'components/button.css');
+
+    const graph = buildImportGraph(main);
+
+    expect(graph).toMatchObject({ importer: null, directive: null, specifier: main, resolved: main, status: 'ok' });
+    expect(graph.children).toEqual([
+      { importer: main, directive: 'import', specifier: 'tailwindcss', resolved: null, status: 'bare', children: [] },
+      {
+        importer: main,
+        directive: 'import',
+        specifier: './components/button.css',
+        resolved: button,
+        status: 'ok',
+        children: [
+          { importer: button, directive: 'plugin', specifier: './forms.js', resolved: path.join(tmpDir, 'components/forms.js'), status: 'ok', children: [] },
+        ],
+      },
+      { importer: main, directive: 'import', specifier: './missing.css', resolved: path.join(tmpDir, 'missing.css'), status: 'missing', children: [] },
+    ]);
+  });
+
+  it('marks cycles with the full chain of files', async () => {
+    tmpDir = await createFixture({
+      'a.css': '@import "./b.css";',
+      'b.css': '@import "./c.css";',
+      'c.css': '@import "./a.css";',
+    });
+    const [a, b, c] = ['a.css', 'b.css', 'c.css'].map((file) => path.join(tmpDir, file));
+
+    const graph = buildImportGraph(a);
+    const cycle = graph.children[0].children[0].children[0];
+
+    expect(cycle.status).toBe('cycle');
+    expect(cycle.chain).toEqual([a, b, c, a]);
+    expect(cycle.children).toEqual([]);
+  });
+
+  it('does not mark a file imported from two places as a cycle', async () => {
+    tmpDir = await createFixture({
+      'main.css': '@import "./a.css";\n@import "./b.css";',
+      'a.css': '@import "./shared.css";',
+      'b.css': '@import "./shared.css";',
+      'shared.css': '@import "./tokens.css";',
+      'tokens.css': '',
+    });
+
+    const graph = buildImportGraph(path.join(tmpDir, 'main.css'));
+    const [viaA, viaB] = graph.children.map((node) => node.children[0]);
+
+    expect(viaA.status).toBe('ok');
+    expect(viaB.status).toBe('ok');
+    expect(viaB.children).toBe(viaA.children);
+  });
+
+  it('records files that cannot be parsed', async () => {
+    tmpDir = await createFixture({
+      'main.css': '@import "./broken.css";',
+      'broken.css': '.broken {',
+    });
+
+    const graph = buildImportGraph(path.join(tmpDir, 'main.css'));
+    expect(graph.children[0].status).toBe('ok');
+    expect(graph.children[0].error).toBeInstanceOf(Error);
+  });
+
+  it('marks a missing entry', () => {
+    const graph = buildImportGraph('/nonexistent/path/file.css');
+    expect(graph.status).toBe('missing');
+    expect(graph.children).toEqual([]);
+  });
+});
+
+describe('walkImportGraph', () => {
+  let tmpDir;
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  it('lists each local file once, skipping cycles', async () => {
+    tmpDir = await createFixture({
+      'main.css': '@import "./a.css";\n@import "./b.css";',
+      'a.css': '@import "./b.css";\n@import "./main.css";',
+      'b.css': '',
+    });
+
+    const files = walkImportGraph(buildImportGraph(path.join(tmpDir, 'main.css')));
+    expect(files).toEqual([path.join(tmpDir, 'a.css'), path.join(tmpDir, 'b.css')]);
+  });
+});
+
+describe('formatImportGraph', () => {
+  let tmpDir;
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  it('draws the graph as an indented tree with statuses', async () => {
+    tmpDir = await createFixture({
+      'main.css': [
+        '@import "tailwindcss";',
+        '@import "./components/button.css";',
+        '@import "./missing.css";',
+      ].join('\n'),
+      'components/button.css': '@import "./badge.css";\n@import "../main.css";',
+      'components/badge.css': '',
+    });
+
+    const tree = formatImportGraph(buildImportGraph(path.join(tmpDir, 'main.css')), tmpDir);
+
+    expect(tree).toBe([
+      'main.css',
+      '├─ tailwindcss (package)',
+      '├─ components/button.css',
+      '│  ├─ components/badge.css',
+      '│  └─ ../main.css (cycle: main.css → components/button.css → main.css)',
+      '└─ ./missing.css (missing: missing.css)',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, writeFile, rm, mkdir, realpath } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { applyAlias, resolveModule, isInstalledPackage, withAliases } from '../lib/resolveModule.js';
+
+describe('applyAlias', () => {
+  it('swaps a matching prefix for its folder', () => {
+    expect(applyAlias('~/css/base.css', { '~': 'src' })).toBe(path.resolve('src', 'css/base.css'));
+  });
+
+  it('accepts prefixes written with a trailing slash', () => {
+    expect(applyAlias('~/css/base.css', { '~/': 'src' })).toBe(path.resolve('src', 'css/base.css'));
+  });
+
+  it('matches the whole prefix only', () => {
+    expect(applyAlias('~css/base.css', { '~': 'src' })).toBeNull();
+    expect(applyAlias('@ui-kit/button.css', { '@ui': 'packages/ui' })).toBeNull();
+  });
+
+  it('matches an alias used on its own', () => {
+    expect(applyAlias('@ui', { '@ui': 'packages/ui' })).toBe(path.resolve('packages/ui'));
+  });
+
+  it('prefers the longest matching prefix', () => {
+    const aliases = { '@': 'src', '@/components': 'lib/components' };
+    expect(applyAlias('@/components/button.css', aliases)).toBe(path.resolve('lib/components', 'button.css'));
+  });
+
+  it('returns null without aliases', () => {
+    expect(applyAlias('~/css/base.css')).toBeNull();
+  });
+});
+
+describe('resolveModule', () => {
+  let tmpDir;
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  it('resolves CSS packages through the style condition', async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'resolve-module-'));
+    const pkg = path.join(tmpDir, 'node_modules', 'kit');
+    await mkdir(pkg, { recursive: true });
+    await writeFile(path.join(pkg, 'package.json'), JSON.stringify({
+      name: 'kit',
+      exports: { '.': { style: './kit.css', default: './index.js' } },
+    }));
+    await writeFile(path.join(pkg, 'kit.css'), '');
+    await writeFile(path.join(pkg, 'index.js'), '');
+
+    const realPkg = await realpath(pkg);
+    expect(resolveModule('kit', tmpDir, 'css')).toBe(path.join(realPkg, 'kit.css'));
+    expect(resolveModule('kit', tmpDir, 'js')).toBe(path.join(realPkg, 'index.js'));
+  });
+
+  it('returns null for something that cannot be resolved', async () => {
+    tmpDir = await mkdtemp(path.join(tmpdir(), 'resolve-module-'));
+    expect(resolveModule('not-installed', tmpDir)).toBeNull();
+  });
+});
+
+describe('isInstalledPackage', () => {
+  it('is true for files inside node_modules', () => {
+    expect(isInstalledPackage(path.join('/project', 'node_modules', 'kit', 'kit.css'))).toBe(true);
+  });
+
+  it('is false for project files', () => {
+    expect(isInstalledPackage(path.join('/project', 'src', 'node_modules.css'))).toBe(false);
+  });
+});
+
+describe('withAliases', () => {
+  afterEach(() => {
+    delete globalThis.__tw_resolve;
+  });
+
+  it('resolves aliased paths for Tailwind only while running', async () => {
+    const aliases = { '~': path.resolve('lib') };
+    const during = await withAliases(aliases, async () => globalThis.__tw_resolve('~/resolveModule.js', process.cwd()));
+
+    expect(during).toBe(await realpath(path.resolve('lib/resolveModule.js')));
+    expect(globalThis.__tw_resolve).toBeUndefined();
+  });
+
+  it('passes other paths on to an existing hook and restores it', async () => {
+    const existing = (id) => `existing:${id}`;
+    globalThis.__tw_resolve = existing;
+
+    const during = await withAliases({ '~': 'src' }, async () => globalThis.__tw_resolve('tailwindcss', process.cwd()));
+
+    expect(during).toBe('existing:tailwindcss');
+    expect(globalThis.__tw_resolve).toBe(existing);
+  });
+
+  it('leaves the hook alone without aliases', async () => {
+    await withAliases(undefined, async () => {
+      expect(globalThis.__tw_resolve).toBeUndefined();
+    });
+  });
+});
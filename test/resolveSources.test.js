@@ -0,0 +1,139 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, writeFile, rm, mkdir, symlink, realpath } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { resolveSources } from '../lib/resolveSources.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates a temp directory with the given file structure.
+ * files is an object: { 'relative/path.css': 'content', ... }
+ * Returns the real path so results compare equal after symlink resolution.
+ */
+async function createFixture(files) {
+  const tmpDir = await realpath(await mkdtemp(path.join(tmpdir(), 'resolve-sources-')));
+  for (const [relPath, content] of Object.entries(files)) {
+    const fullPath = path.join(tmpDir, relPath);
+    await mkdir(path.dirname(fullPath), { recursive: true });
+    await writeFile(fullPath, content);
+  }
+  return tmpDir;
+}
+
+// ---------------------------------------------------------------------------
+// Tests
+// ---------------------------------------------------------------------------
+
+describe('resolveSources', () => {
+  let tmpDir;
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  it('returns nothing for CSS without @source', async () => {
+    tmpDir = await createFixture({ 'css/main.css': '@import "tailwindcss";' });
+    expect(resolveSources([path.join(tmpDir, 'css/main.css')])).toEqual({ include: [], exclude: [] });
+  });
+
+  it('resolves plain folders and files relative to the CSS file', async () => {
+    tmpDir = await createFixture({
+      'css/main.css': '@source "../content";\n@source \'../lib/classes.txt\';',
+      'content/page.njk': '',
+      'lib/classes.txt': '',
+    });
+    const { include } = resolveSources([path.join(tmpDir, 'css/main.css')]);
+    expect(include).toEqual([
+      path.join(tmpDir, 'content'),
+      path.join(tmpDir, 'lib/classes.txt'),
+    ]);
+  });
+
+  it('resolves the static part of globs and keeps the pattern', async () => {
+    tmpDir = await createFixture({
+      'src/css/main.css': '@source "../../components/**/*.njk";',
+      'components/card.njk': '',
+    });
+    const { include } = resolveSources([path.join(tmpDir, 'src/css/main.css')]);
+    expect(include).toEqual([`${path.join(tmpDir, 'components')}/**/*.njk`]);
+  });
+
+  it('collects @source not as exclusions and drops sources inside them', async () => {
+    tmpDir = await createFixture({
+      'css/main.css': [
+        '@source "../content";',
+        '@source "../content/legacy/**/*.html";',
+        '@source not "../content/legacy";',
+      ].join('\n'),
+      'content/legacy/old.html': '',
+    });
+    const { include, exclude } = resolveSources([path.join(tmpDir, 'css/main.css')]);
+    expect(include).toEqual([path.join(tmpDir, 'content')]);
+    expect(exclude).toEqual([path.join(tmpDir, 'content/legacy')]);
+  });
+
+  it('drops a source that is excluded exactly', async () => {
+    tmpDir = await createFixture({
+      'css/main.css': '@source "../ui/**/*.js";\n@source not "../ui/**/*.js";',
+    });
+    const { include } = resolveSources([path.join(tmpDir, 'css/main.css')]);
+    expect(include).toEqual([]);
+  });
+
+  it('includes the folder set with @import "tailwindcss" source(...)', async () => {
+    tmpDir = await createFixture({
+      'css/main.css': '@import "tailwindcss" source("../src");',
+      'src/index.njk': '',
+    });
+    const { include } = resolveSources([path.join(tmpDir, 'css/main.css')]);
+    expect(include).toEqual([path.join(tmpDir, 'src')]);
+  });
+
+  it('ignores @source inline() and source(none)', async () => {
+    tmpDir = await createFixture({
+      'css/main.css': '@import "tailwindcss" source(none);\n@source inline("underline");\n@source not inline("hidden");',
+    });
+    expect(resolveSources([path.join(tmpDir, 'css/main.css')])).toEqual({ include: [], exclude: [] });
+  });
+
+  it('collects sources from every CSS file given and removes duplicates', async () => {
+    tmpDir = await createFixture({
+      'css/main.css': '@source "../content";',
+      'css/components.css': '@source "../content";\n@source "../widgets";',
+      'content/a.html': '',
+      'widgets/b.html': '',
+    });
+    const { include } = resolveSources([
+      path.join(tmpDir, 'css/main.css'),
+      path.join(tmpDir, 'css/components.css'),
+    ]);
+    expect(include).toEqual([path.join(tmpDir, 'content'), path.join(tmpDir, 'widgets')]);
+  });
+
+  it('resolves symlinked folders to their real location', async () => {
+    tmpDir = await createFixture({
+      'css/main.css': '@source "../node_modules/our-ui";',
+      'packages/our-ui/button.html': '',
+    });
+    await mkdir(path.join(tmpDir, 'node_modules'));
+    await symlink(path.join(tmpDir, 'packages/our-ui'), path.join(tmpDir, 'node_modules/our-ui'), 'junction');
+
+    const { include } = resolveSources([path.join(tmpDir, 'css/main.css')]);
+    expect(include).toEqual([path.join(tmpDir, 'packages/our-ui')]);
+  });
+
+  it('skips files that do not exist or cannot be parsed', async () => {
+    tmpDir = await createFixture({ 'css/broken.css': '@source "../content";\n.a {' });
+    const result = resolveSources([
+      path.join(tmpDir, 'css/missing.css'),
+      path.join(tmpDir, 'css/broken.css'),
+    ]);
+    expect(result).toEqual({ include: [], exclude: [] });
+  });
+});
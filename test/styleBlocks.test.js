@@ -0,0 +1,130 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm, symlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { compileStyleBlock, processStyleBlocks, usesTailwind } from '../lib/styleBlocks.js';
+
+describe('styleBlocks', () => {
+
+  // =========================================================================
+  // usesTailwind
+  // =========================================================================
+  describe('usesTailwind', () => {
+    it('detects Tailwind directives and functions', () => {
+      expect(usesTailwind('<style>', '.btn { @apply px-4; }')).toBe(true);
+      expect(usesTailwind('<style>', '.btn { @variant hover { color: red; } }')).toBe(true);
+      expect(usesTailwind('<style>', '.btn { color: --theme(--color-brand); }')).toBe(true);
+      expect(usesTailwind('<style>', '.btn { margin: --spacing(2); }')).toBe(true);
+    });
+
+    it('leaves plain CSS alone', () => {
+      expect(usesTailwind('<style>', '.btn { color: var(--color-brand); }')).toBe(false);
+    });
+
+    it('ignores blocks with a non-CSS type', () => {
+      expect(usesTailwind('<style type="text/x-template">', '.btn { @apply px-4; }')).toBe(false);
+      expect(usesTailwind('<style type="text/css">', '.btn { @apply px-4; }')).toBe(true);
+    });
+  });
+
+  // =========================================================================
+  // processStyleBlocks
+  // =========================================================================
+  describe('processStyleBlocks', () => {
+    it('replaces the contents of blocks that use Tailwind, in order', async () => {
+      const seen = [];
+      const html = await processStyleBlocks(
+        '<style>.a { @apply p-1; }</style><style>.b { color: red; }</style><style webc:scoped>.c { @apply p-2; }</STYLE>',
+        async (css) => {
+          seen.push(css);
+          return `/* ${seen.length} */`;
+        },
+      );
+
+      expect(seen).toEqual(['.a { @apply p-1; }', '.c { @apply p-2; }']);
+      expect(html).toBe('<style>/* 1 */</style><style>.b { color: red; }</style><style webc:scoped>/* 2 */</STYLE>');
+    });
+
+    it('returns HTML without style blocks unchanged', async () => {
+      expect(await processStyleBlocks('<p>Hi</p>', async () => '')).toBe('<p>Hi</p>');
+    });
+  });
+
+  // =========================================================================
+  // compileStyleBlock
+  // =========================================================================
+  describe('compileStyleBlock', () => {
+    let tmpDir;
+
+    afterEach(async () => {
+      if (tmpDir) {
+        await rm(tmpDir, { recursive: true, force: true });
+        tmpDir = null;
+      }
+    });
+
+    async function createReference(css) {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'style-blocks-'));
+      const reference = path.join(tmpDir, 'tailwind.css');
+      await writeFile(reference, css);
+      // Symlink node_modules so the reference can @import "tailwindcss"
+      await symlink(path.resolve(import.meta.dirname, '..', 'node_modules'), path.join(tmpDir, 'node_modules'), 'junction');
+      return reference;
+    }
+
+    it('resolves utilities and theme values from the reference without copying its CSS', async () => {
+      const reference = await createReference('@import "tailwindcss";\n@theme { --color-brand: #123456; }');
+
+      const css = await compileStyleBlock('.btn { @apply p-4 text-brand; border-color: --theme(--color-brand); }', {
+        reference,
+        from: path.join(tmpDir, 'index.njk'),
+      });
+
+      expect(css).toContain('padding: calc(var(--spacing, 0.25rem) * 4);');
+      expect(css).toContain('color: var(--color-brand, #123456);');
+      expect(css).toContain('border-color: var(--color-brand, #123456);');
+      expect(css).not.toContain('tailwindcss v');
+      expect(css).not.toContain('@layer');
+    });
+
+    it('compiles different blocks from the same page separately', async () => {
+      const reference = await createReference('@import "tailwindcss";');
+      const from = path.join(tmpDir, 'index.njk');
+      await writeFile(from, '');
+
+      const html = await processStyleBlocks(
+        '<style>.a { @apply p-4; }</style><p>Hi</p><style>.b { @apply text-red-500 font-bold; }</style>',
+        (css) => compileStyleBlock(css, { reference, from }),
+      );
+
+      const [first, second] = [...html.matchAll(/<style>([\s\S]*?)<\/style>/g)].map((match) => match[1]);
+      expect(first).toContain('.a {');
+      expect(first).not.toContain('.b');
+      expect(second).toContain('.b {');
+      expect(second).toContain('font-weight:');
+      expect(second).not.toContain('.a');
+    });
+
+    it('resolves aliased imports in blocks compiled at the same time', async () => {
+      const reference = await createReference('@import "tailwindcss";');
+      await mkdir(path.join(tmpDir, 'css'));
+      await writeFile(path.join(tmpDir, 'css', 'card.css'), '.card { color: red; }');
+      const options = { reference, from: path.join(tmpDir, 'index.njk'), aliases: { '~': tmpDir } };
+
+      const results = await Promise.all([
+        compileStyleBlock('@import "~/css/card.css";\n.a { @apply p-4; }', options),
+        compileStyleBlock('@import "~/css/card.css";\n.b { @apply p-2; }', options),
+      ]);
+
+      for (const css of results) expect(css).toContain('.card {');
+      expect(globalThis.__tw_resolve).toBeUndefined();
+    });
+
+    it('rejects for unknown utilities', async () => {
+      const reference = await createReference('@import "tailwindcss";');
+
+      await expect(compileStyleBlock('.btn { @apply not-a-utility; }', { reference, from: path.join(tmpDir, 'index.njk') }))
+        .rejects.toThrow('not-a-utility');
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { hasStylesheetLink, injectStylesheetLink, stylesheetLink } from '../lib/stylesheetLink.js';
+
+describe('stylesheetLink', () => {
+  const stylesheet = { href: '/css/site.1a2b3c4d.css', integrity: 'sha384-abc' };
+
+  it('renders a plain stylesheet link by default', () => {
+    expect(stylesheetLink(stylesheet)).toBe('<link rel="stylesheet" href="/css/site.1a2b3c4d.css">');
+  });
+
+  it('adds integrity, crossorigin and media', () => {
+    expect(stylesheetLink(stylesheet, { integrity: true, crossorigin: true, media: 'print' }))
+      .toBe('<link rel="stylesheet" href="/css/site.1a2b3c4d.css" integrity="sha384-abc" crossorigin="anonymous" media="print">');
+  });
+
+  it('passes a crossorigin string through', () => {
+    expect(stylesheetLink(stylesheet, { crossorigin: 'use-credentials' })).toContain('crossorigin="use-credentials"');
+  });
+
+  it('leaves integrity out when it is not known', () => {
+    expect(stylesheetLink({ href: '/styles.css' }, { integrity: true })).toBe('<link rel="stylesheet" href="/styles.css">');
+  });
+
+  it('adds a preload link with the same integrity and crossorigin, but no media', () => {
+    expect(stylesheetLink(stylesheet, { preload: true, integrity: true, crossorigin: true, media: 'print' })).toBe([
+      '<link rel="preload" as="style" href="/css/site.1a2b3c4d.css" integrity="sha384-abc" crossorigin="anonymous">',
+      '<link rel="stylesheet" href="/css/site.1a2b3c4d.css" integrity="sha384-abc" crossorigin="anonymous" media="print">',
+    ].join('\n'));
+  });
+
+  it('escapes attribute values', () => {
+    expect(stylesheetLink({ href: '/a.css?x=1&y="2"' }, { media: 'screen and (min-width: 40em)' }))
+      .toBe('<link rel="stylesheet" href="/a.css?x=1&amp;y=&quot;2&quot;" media="screen and (min-width: 40em)">');
+  });
+});
+
+describe('hasStylesheetLink', () => {
+  it('finds a link to one of the URLs, ignoring query strings', () => {
+    expect(hasStylesheetLink('<head><link rel="stylesheet" href="/styles.css?v=1"></head>', ['/styles.css'])).toBe(true);
+    expect(hasStylesheetLink("<head><link href='/docs/styles.css' rel=stylesheet></head>", ['/styles.css', '/docs/styles.css'])).toBe(true);
+  });
+
+  it('ignores other links and mentions outside link tags', () => {
+    expect(hasStylesheetLink('<head><link rel="icon" href="/favicon.ico"></head><p>/styles.css</p>', ['/styles.css'])).toBe(false);
+  });
+});
+
+describe('injectStylesheetLink', () => {
+  const link = '<link rel="stylesheet" href="/styles.css">';
+
+  it('inserts before </head>', () => {
+    expect(injectStylesheetLink('<html><head><title>Hi</title></head></html>', link))
+      .toBe(`<html><head><title>Hi</title>${link}</head></html>`);
+  });
+
+  it('inserts after <head> when the closing tag is missing', () => {
+    expect(injectStylesheetLink('<html><head lang="en"><title>Hi</title><body></body></html>', link))
+      .toBe(`<html><head lang="en">${link}<title>Hi</title><body></body></html>`);
+  });
+
+  it('returns null for HTML without a head', () => {
+    expect(injectStylesheetLink('<p>fragment</p>', link)).toBeNull();
+    expect(injectStylesheetLink('<header>Site</header>', link)).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, writeFile, readFile, readdir, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { writeFileAtomic, writeFileIfChanged } from '../lib/writeFile.js';
+
+describe('writeFile', () => {
+  let tmpDir;
+
+  afterEach(async () => {
+    if (tmpDir) {
+      await rm(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  describe('writeFileAtomic', () => {
+    it('writes a new file and leaves no temp file behind', async () => {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'write-file-'));
+      const file = path.join(tmpDir, 'styles.css');
+
+      await writeFileAtomic(file, '.a{}');
+
+      expect(await readFile(file, 'utf-8')).toBe('.a{}');
+      expect(await readdir(tmpDir)).toEqual(['styles.css']);
+    });
+
+    it('replaces an existing file', async () => {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'write-file-'));
+      const file = path.join(tmpDir, 'styles.css');
+      await writeFile(file, '.old{}');
+
+      await writeFileAtomic(file, '.new{}');
+
+      expect(await readFile(file, 'utf-8')).toBe('.new{}');
+      expect(await readdir(tmpDir)).toEqual(['styles.css']);
+    });
+
+    it('rejects and cleans up when the file cannot be written', async () => {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'write-file-'));
+
+      await expect(writeFileAtomic(path.join(tmpDir, 'missing', 'styles.css'), '.a{}')).rejects.toThrow();
+      expect(await readdir(tmpDir)).toEqual([]);
+    });
+  });
+
+  describe('writeFileIfChanged', () => {
+    it('writes a file that does not exist yet', async () => {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'write-file-'));
+      const file = path.join(tmpDir, 'styles.css');
+
+      expect(await writeFileIfChanged(file, '.a{}')).toBe(true);
+      expect(await readFile(file, 'utf-8')).toBe('.a{}');
+    });
+
+    it('skips a file that already holds the content', async () => {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'write-file-'));
+      const file = path.join(tmpDir, 'styles.css');
+      await writeFile(file, '.a{}');
+      const { mtimeMs } = await stat(file);
+
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(await writeFileIfChanged(file, '.a{}')).toBe(false);
+      expect((await stat(file)).mtimeMs).toBe(mtimeMs);
+    });
+
+    it('writes a file whose content differs', async () => {
+      tmpDir = await mkdtemp(path.join(tmpdir(), 'write-file-'));
+      const file = path.join(tmpDir, 'styles.css');
+      await writeFile(file, '.a{}');
+
+      expect(await writeFileIfChanged(file, '.b{}')).toBe(true);
+      expect(await readFile(file, 'utf-8')).toBe('.b{}');
+    });
+  });
+});